@@ -0,0 +1,1162 @@
+/*
+ * Connections game engine: puzzle data, game rules and the save format, with no DOM access.
+ * index.html and test.html load it as a classic script before game.js, so everything below is a
+ * global there; Node loads it with require() and gets the same names from module.exports.
+ */
+
+// Color mappings for puzzle groups
+const COLOR_MAP = {purple:'#9c27b0', blue:'#4da3ff', green:'#4caf50', yellow:'#ffca28', orange:'#ff9800', red:'#f44336'};
+const COLOR_EMOJI = {purple:'🟪', blue:'🟦', green:'🟩', yellow:'🟨', orange:'🟧', red:'🟥'};
+const COLOR_REVERSE = {'#9c27b0':'purple', '#4da3ff':'blue', '#4caf50':'green', '#ffca28':'yellow', '#ff9800':'orange', '#f44336':'red'};
+
+// Maximum number of mistakes allowed before game over
+const MAX_MISTAKES = 4;
+
+// Group colors from easiest to hardest; hard mode makes players solve groups in this order.
+// Orange and red are extra tiers for puzzles with more than four groups
+const COLOR_ORDER = ['yellow', 'green', 'blue', 'purple', 'orange', 'red'];
+
+// Puzzle shapes allowed besides the classic 4×4: number of groups, and words in every group
+const SHAPE_LIMITS = {groups: {min: 2, max: COLOR_ORDER.length}, size: {min: 2, max: 6}};
+
+// Rules a game is played with unless the puzzle or the player choose otherwise
+const DEFAULT_RULES = {
+  maxMistakes: MAX_MISTAKES,  // Mistakes that end the game, or null for unlimited practice
+  hardMode: false,            // No "one away" feedback, and groups must be solved easiest color first
+  shuffle: true               // Shuffle button available
+};
+
+// Free hints per game when hints are paid from the budget rather than with mistakes
+const HINT_BUDGET = 3;
+
+/**
+ * Fisher-Yates shuffle algorithm to randomize array order
+ * @param {Array} a - Array to shuffle
+ * @returns {Array} Shuffled copy of the array
+ */
+const shuffle = a => a.map(v => [Math.random(), v]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+
+/* ---------- Puzzle data ---------- */
+
+/**
+ * Normalize puzzle data for consistent internal format
+ * Uppercases all words (and the words notes are keyed by), converts color names to hex values,
+ * preserves colorName for emoji mapping
+ * @param {Object} p - Puzzle object with groups array
+ * @returns {Object} Normalized puzzle object
+ */
+function normalizePuzzle(p) {
+  p.groups.forEach(g => {
+    g.words = g.words.map(w => String(w).toUpperCase());
+    if (g.notes) g.notes = Object.fromEntries(Object.entries(g.notes).map(([w, note]) => [w.toUpperCase(), note]));
+    const originalColor = g.color;
+    g.colorName = COLOR_MAP[originalColor] ? originalColor : COLOR_REVERSE[originalColor] || originalColor;
+    g.color = COLOR_MAP[originalColor] || originalColor;
+  });
+  return p;
+}
+
+/**
+ * Shape of a puzzle: how many groups it has and how many words each group holds
+ * (every group has as many words as the first)
+ * @param {Object} p - Puzzle object, normalized or not
+ * @returns {Object} {groups, size}
+ */
+function puzzleShape(p) {
+  return {groups: p.groups.length, size: p.groups.length ? p.groups[0].words.length : 0};
+}
+
+/**
+ * Calculate dynamic font size based on text length
+ * Shorter text gets larger fonts, longer text gets smaller fonts
+ * @param {string} text - Text to size
+ * @returns {string} CSS font-size value (e.g., '16px', '12px')
+ */
+const calculateFontSize = (text) => {
+  const len = text.length;
+  if (len <= 6) return '18px';
+  if (len <= 8) return '17px';
+  if (len <= 10) return '16px';
+  if (len <= 12) return '15px';
+  if (len <= 14) return '14px';
+  if (len <= 16) return '13px';
+  if (len <= 18) return '12px';
+  if (len <= 21) return '11px';
+  if (len <= 24) return '10px';
+  if (len <= 28) return '9px';
+  return '8px';
+};
+
+// Tiles whose calculated font size falls below this are flagged as too long by the editor and lintPack()
+const MIN_TILE_FONT_PX = 10;
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * Not cryptographic; used to derive short stable ids from puzzle content
+ * @param {string} str - Input text
+ * @returns {string} 8-character hex digest
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Problems with a group's optional explanation and word notes
+ * @param {Object} g - Group as written in a pack
+ * @returns {Array<string>} Messages (to prefix with the group's place), empty if both are usable
+ */
+function groupDetailProblems(g) {
+  const problems = [];
+  if (g.explanation !== undefined && (typeof g.explanation !== 'string' || !g.explanation.trim())) {
+    problems.push('"explanation" must be a non-empty string');
+  }
+  if (g.notes === undefined) return problems;
+  if (!g.notes || typeof g.notes !== 'object' || Array.isArray(g.notes)) {
+    problems.push('"notes" must be an object mapping words to notes');
+    return problems;
+  }
+  const words = Array.isArray(g.words) ? g.words.map(w => String(w).toUpperCase()) : [];
+  Object.entries(g.notes).forEach(([word, note]) => {
+    if (!words.includes(word.toUpperCase())) problems.push(`has a note for "${word}", which is not one of its words`);
+    else if (typeof note !== 'string' || !note.trim()) problems.push(`note for "${word}" must be a non-empty string`);
+  });
+  return problems;
+}
+
+/**
+ * The explanation and word notes a puzzle gives for one of its groups
+ * @param {Object} puzzle - Normalized puzzle
+ * @param {Object} g - A group of the puzzle or an entry from game.found (matched by category and words)
+ * @returns {Object|null} {explanation, notes: [{word, note}]} with notes in word order, or null if
+ *   the group has neither
+ */
+function groupDetails(puzzle, g) {
+  const same = words => [...words].sort().join('\n') === [...g.words].sort().join('\n');
+  const group = puzzle.groups.find(pg => pg.category === g.category && same(pg.words));
+  if (!group) return null;
+  const notes = group.words
+    .filter(w => group.notes && group.notes[w])
+    .map(w => ({word: w, note: group.notes[w]}));
+  if (!group.explanation && notes.length === 0) return null;
+  return {explanation: group.explanation || '', notes};
+}
+
+/**
+ * Reduce a puzzle to the fields a shared link carries (the shape normalizePuzzle() accepts)
+ * @param {Object} p - Puzzle object, normalized or not
+ * @returns {Object} Puzzle with id, rules (if any) and groups of category, color name, words and
+ *   any explanation and notes
+ */
+function sharePayload(p) {
+  return {
+    id: p.id,
+    ...(p.rules && {rules: {...p.rules}}),
+    groups: p.groups.map(g => ({
+      category: g.category,
+      color: g.colorName || COLOR_REVERSE[g.color] || g.color,
+      words: [...g.words],
+      ...(g.explanation && {explanation: g.explanation}),
+      ...(g.notes && {notes: {...g.notes}})
+    }))
+  };
+}
+
+/**
+ * Content hash of a puzzle's groups, stored with each save to detect that the puzzle changed
+ * Explanations and notes are left out: rewording them doesn't change how the puzzle plays
+ * @param {Object} p - Puzzle object, normalized or not
+ * @returns {string} 8-character hex digest
+ */
+function puzzleHash(p) {
+  return hashString(JSON.stringify(sharePayload(p).groups.map(({category, color, words}) => ({category, color, words}))));
+}
+
+/* ---------- Game rules ---------- */
+
+/**
+ * Validate a partial rules object, keeping only known rules with usable values
+ * @param {Object} rules - Rules from a puzzle, the player's settings or a save
+ * @returns {Object} Subset of DEFAULT_RULES keys
+ */
+function normalizeRules(rules) {
+  const out = {};
+  if (!rules || typeof rules !== 'object') return out;
+  if (rules.maxMistakes === null || (Number.isInteger(rules.maxMistakes) && rules.maxMistakes > 0)) {
+    out.maxMistakes = rules.maxMistakes;
+  }
+  if (typeof rules.hardMode === 'boolean') out.hardMode = rules.hardMode;
+  if (typeof rules.shuffle === 'boolean') out.shuffle = rules.shuffle;
+  return out;
+}
+
+/**
+ * Work out the rules for a new game: the puzzle's own rules win over the player's choices,
+ * which win over DEFAULT_RULES
+ * @param {Object} puzzle - Puzzle, optionally with a `rules` object
+ * @param {Object} playerRules - Rules the player picked in settings (optional)
+ * @returns {Object} Complete rules object
+ */
+function gameRules(puzzle, playerRules) {
+  return {...DEFAULT_RULES, ...normalizeRules(playerRules), ...normalizeRules(puzzle && puzzle.rules)};
+}
+
+/**
+ * Check whether a game's mistakes have used up its mistake limit
+ * @param {Object} game - Game state
+ * @returns {boolean} True if the game should end
+ */
+function outOfMistakes(game) {
+  return game.rules.maxMistakes !== null && game.mistakes >= game.rules.maxMistakes;
+}
+
+/**
+ * Count a mistake, capped at the game's limit
+ * @param {Object} game - Game state
+ */
+function addMistake(game) {
+  game.mistakes = game.rules.maxMistakes === null ? game.mistakes + 1 : Math.min(game.rules.maxMistakes, game.mistakes + 1);
+}
+
+/**
+ * Check whether a group may be solved next under hard mode's easiest-color-first order
+ * Groups with a color outside COLOR_ORDER never block or wait
+ * @param {Object} game - Game state
+ * @param {Object} group - Puzzle group
+ * @returns {boolean} True if no unsolved group has an easier color
+ */
+function isNextGroup(game, group) {
+  const rank = g => COLOR_ORDER.indexOf(g.colorName);
+  if (rank(group) === -1) return true;
+  return !unsolvedGroups(game).some(g => rank(g) !== -1 && rank(g) < rank(group));
+}
+
+/**
+ * Check whether guessed words are all but one of some group's words
+ * Never true for groups of two, where any wrong guess shares a word with some group
+ * @param {Object} puzzle - Normalized puzzle
+ * @param {Array<string>} words - Guessed words
+ * @returns {boolean} True if the guess is one away
+ */
+function isOneAway(puzzle, words) {
+  const size = puzzleShape(puzzle).size;
+  if (size - 1 < 2) return false;
+  return puzzle.groups.some(g => g.words.filter(w => words.includes(w)).length === size - 1);
+}
+
+/**
+ * Start a fresh game of a puzzle
+ * The returned object is the whole game state; the functions below read and update it in place.
+ * Board positions in `order` and `selection` are indices into gameWords()
+ * @param {Object} puzzle - Puzzle with id and groups (normalized in place)
+ * @param {Object} playerRules - The player's preferred rules (see gameRules())
+ * @returns {Object} Game state: data, id, rules, order, selection, found, mistakes, mistakesLog,
+ *   guesses, locked, failed, finishedAt, elapsed (ms of active play), timeLimit (ms, or null when
+ *   untimed), timedOut, hints (see useHint())
+ */
+function createGame(puzzle, playerRules) {
+  const data = normalizePuzzle(puzzle);
+  return {
+    data,
+    id: puzzle.id || Math.random().toString(36).slice(2),
+    rules: gameRules(data, playerRules),
+    order: shuffle(data.groups.flatMap(g => g.words).map((w, i) => i)),
+    selection: new Set(),
+    found: [],
+    mistakes: 0,
+    mistakesLog: [],
+    guesses: [],
+    locked: false,
+    failed: false,
+    finishedAt: null,
+    elapsed: 0,
+    timeLimit: null,
+    timedOut: false,
+    hints: []
+  };
+}
+
+/**
+ * Get flat array of all words in a game's puzzle
+ * @param {Object} game - Game state from createGame()
+ * @returns {Array<string>} All words from all groups
+ */
+function gameWords(game) {
+  return game.data.groups.flatMap(g => g.words);
+}
+
+// Ending numberCopies() gives the later copies of a word; packs may not use words ending this
+// way, or a copy's key could be the same as a real word's
+const COPY_SUFFIX = /#\d+$/;
+
+/**
+ * Number repeated words so each copy has its own key: the first copy keeps the word, later
+ * copies become "WORD#2", "WORD#3"... (see COPY_SUFFIX)
+ * @param {Array<string>} words - Words, possibly with repeats
+ * @returns {Array<string>} Keys in the same order
+ */
+function numberCopies(words) {
+  const seen = {};
+  return words.map(w => {
+    seen[w] = (seen[w] || 0) + 1;
+    return seen[w] > 1 ? `${w}#${seen[w]}` : w;
+  });
+}
+
+/**
+ * Stable keys for a puzzle's tiles, in gameWords() order
+ * A puzzle may use the same word in two groups (a red herring); each copy is a separate tile.
+ * The game works with tile indices, while saves, guesses and found groups record these keys
+ * @param {Object} puzzle - Normalized puzzle
+ * @returns {Array<string>} One key per tile
+ */
+function tileKeys(puzzle) {
+  return numberCopies(puzzle.groups.flatMap(g => g.words));
+}
+
+/**
+ * Pick a distinct tile for each word, for records that only name words
+ * @param {Array<string>} words - Words to find tiles for
+ * @param {Array<string>} all - Every tile's word (gameWords())
+ * @param {Set<number>} taken - Tile indices that may not be picked (not modified)
+ * @returns {Array<number>} Tile indices, one per word that still had a free tile
+ */
+function claimTiles(words, all, taken=new Set()) {
+  const used = new Set(taken);
+  return words.map(w => {
+    const i = all.findIndex((x, n) => x === w && !used.has(n));
+    if (i !== -1) used.add(i);
+    return i;
+  }).filter(i => i !== -1);
+}
+
+/**
+ * Tile indices of the groups already solved or revealed
+ * @param {Object} game - Game state
+ * @returns {Set<number>} Indices into gameWords()
+ */
+function solvedTiles(game) {
+  const keys = tileKeys(game.data);
+  return new Set(game.found.flatMap(f => f.tiles || []).map(k => keys.indexOf(k)).filter(i => i !== -1));
+}
+
+/**
+ * The group a tile counts towards: its own group, unless that group was solved using the other
+ * copy of the word, in which case the unsolved group that still needs the word
+ * @param {Object} game - Game state
+ * @param {number} i - Tile index in gameWords()
+ * @returns {Object} Puzzle group
+ */
+function tileGroup(game, i) {
+  const own = game.data.groups.flatMap(g => g.words.map(() => g))[i];
+  const open = unsolvedGroups(game);
+  if (open.includes(own)) return own;
+  return open.find(g => g.words.includes(gameWords(game)[i])) || own;
+}
+
+/**
+ * Make the board order hold exactly the unsolved words, reshuffling (and clearing the
+ * selection) if it doesn't
+ * @param {Object} game - Game state
+ */
+function syncOrder(game) {
+  const solved = solvedTiles(game);
+  const active = gameWords(game).map((w, i) => i).filter(i => !solved.has(i));
+  const sameTiles = game.order.length === active.length && active.every(i => game.order.includes(i));
+  if (!sameTiles) {
+    game.order = game.locked ? [] : shuffle(active);
+    game.selection.clear();
+  }
+}
+
+/**
+ * Select or deselect a tile
+ * @param {Object} game - Game state
+ * @param {number} i - Word index in gameWords()
+ * @returns {Object} {ok: true, selected} or {ok: false, reason: 'locked' | 'full'}
+ */
+function toggleTile(game, i) {
+  if (game.locked) return {ok: false, reason: 'locked'};
+  if (game.selection.has(i)) {
+    game.selection.delete(i);
+    return {ok: true, selected: false};
+  }
+  if (game.selection.size >= puzzleShape(game.data).size) return {ok: false, reason: 'full'};
+  game.selection.add(i);
+  return {ok: true, selected: true};
+}
+
+/**
+ * Submit the current selection as a guess (as many words as a group holds)
+ * Records the guess for results, solves the matching group or counts a mistake, and locks
+ * the game on the last group or the last allowed mistake. In hard mode a real group guessed
+ * before an easier one is a mistake too, and "one away" is never reported
+ * @param {Object} game - Game state
+ * @param {number} now - Timestamp for the mistake log and finishedAt (defaults to Date.now())
+ * @returns {Object} Outcome, by status:
+ *   'locked' (game already finished), 'incomplete' (not a group's worth selected), 'repeat' (same wrong guess as before),
+ *   'correct' with group and solved, 'wrong' with oneAway, outOfOrder and failed
+ */
+function submitGuess(game, now=Date.now()) {
+  if (game.locked) return {status: 'locked'};
+  const size = puzzleShape(game.data).size;
+  if (game.selection.size !== size) return {status: 'incomplete'};
+
+  const words = gameWords(game);
+  const keys = tileKeys(game.data);
+  const tilesSel = [...game.selection];
+  const wordsSel = tilesSel.map(i => words[i]);
+
+  // Check if this combination was already tried (an out-of-order group may be tried again
+  // once another group has been solved)
+  const sortedWords = wordsSel.slice().sort().join(',');
+  const alreadyTried = game.mistakesLog.some(entry =>
+    entry.words.slice().sort().join(',') === sortedWords &&
+    (!entry.outOfOrder || entry.solvedBefore === game.found.length)
+  );
+  if (alreadyTried) return {status: 'repeat'};
+
+  // Copies of a word look the same, so any copy completes any group that uses the word
+  const group = unsolvedGroups(game).find(g => g.words.slice().sort().join(',') === sortedWords);
+  const outOfOrder = !!group && game.rules.hardMode && !isNextGroup(game, group);
+  const match = outOfOrder ? null : group;
+
+  // Track guess for results visualization. A guess that makes up a group is all that group's
+  // color, whichever copies of its words it used; otherwise each tile shows its own group
+  const colorName = g => g.colorName || COLOR_REVERSE[g.color] || 'gray';
+  const guessColors = tilesSel.map(i => colorName(group || tileGroup(game, i)));
+  game.guesses.push({
+    words: wordsSel,
+    tiles: tilesSel.map(i => keys[i]),
+    colors: guessColors,
+    correct: !!match,
+    ...(outOfOrder && {outOfOrder}),
+    ts: now,
+    elapsed: game.elapsed,
+    hints: game.hints.length
+  });
+
+  if (match) {
+    const group = {
+      category: match.category,
+      words: [...match.words],
+      tiles: tilesSel.map(i => keys[i]),
+      color: COLOR_MAP[match.color] || match.color
+    };
+    game.found.push(group);
+    game.order = game.order.filter(i => !game.selection.has(i));
+    game.selection.clear();
+    const solved = game.found.length === game.data.groups.length;
+    if (solved) {
+      game.locked = true;
+      game.failed = false;
+      game.finishedAt = now;
+    }
+    return {status: 'correct', group, solved};
+  }
+
+  game.mistakesLog.push(outOfOrder
+    ? {ts: now, words: [...wordsSel], outOfOrder, solvedBefore: game.found.length}
+    : {ts: now, words: [...wordsSel]});
+  addMistake(game);
+  const oneAway = !game.rules.hardMode && isOneAway(game.data, wordsSel);
+  const failed = outOfMistakes(game);
+  if (failed) {
+    game.failed = true;
+    revealAll(game, now);
+  }
+  return {status: 'wrong', oneAway, outOfOrder, failed};
+}
+
+/**
+ * Reveal all remaining groups and lock the game
+ * Adds all unsolved groups to the found array; does not change `failed`
+ * @param {Object} game - Game state
+ * @param {number} now - Timestamp for finishedAt (defaults to Date.now())
+ */
+function revealAll(game, now=Date.now()) {
+  const words = gameWords(game);
+  const keys = tileKeys(game.data);
+  unsolvedGroups(game).forEach(g => {
+    game.found.push({
+      category: g.category,
+      words: [...g.words],
+      tiles: claimTiles(g.words, words, solvedTiles(game)).map(i => keys[i]),
+      color: COLOR_MAP[g.color] || g.color
+    });
+  });
+  game.locked = true;
+  game.finishedAt = now;
+  game.order = [];
+  game.selection.clear();
+}
+
+/**
+ * Add active play time to a game, ending a timed game that runs out of time the same way as
+ * running out of mistakes: failed, with every group revealed
+ * @param {Object} game - Game state
+ * @param {number} ms - Time played since the last call
+ * @param {number} now - Timestamp for finishedAt (defaults to Date.now())
+ * @returns {Object} {expired} - true if this call used up the time limit
+ */
+function tickGame(game, ms, now=Date.now()) {
+  if (game.locked || !(ms > 0)) return {expired: false};
+  game.elapsed += ms;
+  if (game.timeLimit === null || game.elapsed < game.timeLimit) return {expired: false};
+  game.elapsed = game.timeLimit;
+  game.failed = true;
+  game.timedOut = true;
+  revealAll(game, now);
+  return {expired: true};
+}
+
+/**
+ * Time left to play a timed game
+ * @param {Object} game - Game state
+ * @returns {number|null} Remaining milliseconds, or null if the game has no time limit
+ */
+function timeLeft(game) {
+  return game.timeLimit === null ? null : Math.max(0, game.timeLimit - game.elapsed);
+}
+
+/**
+ * Clear the selection
+ * @param {Object} game - Game state
+ * @returns {boolean} False if the game is finished
+ */
+function clearSelection(game) {
+  if (game.locked) return false;
+  game.selection.clear();
+  return true;
+}
+
+/**
+ * Re-randomize the board order of the unsolved words
+ * @param {Object} game - Game state
+ * @returns {boolean} False if the game is finished or its rules turn shuffling off
+ */
+function shuffleTiles(game) {
+  if (game.locked || !game.rules.shuffle) return false;
+  game.order = shuffle(game.order);
+  return true;
+}
+
+/**
+ * Move one tile to another board position, shifting the tiles between them along
+ * Arranging by hand is allowed under every rule set, including no shuffle
+ * @param {Object} game - Game state
+ * @param {number} from - Board position of the tile to move
+ * @param {number} to - Board position it should end up at
+ * @returns {boolean} False if the game is finished or either position is off the board
+ */
+function moveTile(game, from, to) {
+  const inRange = p => Number.isInteger(p) && p >= 0 && p < game.order.length;
+  if (game.locked || !inRange(from) || !inRange(to)) return false;
+  const [tile] = game.order.splice(from, 1);
+  game.order.splice(to, 0, tile);
+  return true;
+}
+
+/**
+ * Move the selected tiles to the start of the board (the top row), keeping the
+ * order of the selected tiles and of the rest
+ * @param {Object} game - Game state
+ * @returns {boolean} False if the game is finished or nothing is selected
+ */
+function raiseSelection(game) {
+  if (game.locked || game.selection.size === 0) return false;
+  const picked = game.order.filter(i => game.selection.has(i));
+  game.order = picked.concat(game.order.filter(i => !game.selection.has(i)));
+  return true;
+}
+
+/* ---------- Hints ---------- */
+
+/**
+ * Groups of a game's puzzle that have not been solved yet
+ * @param {Object} game - Game state
+ * @returns {Array<Object>} Puzzle groups
+ */
+function unsolvedGroups(game) {
+  return game.data.groups.filter(g => !game.found.some(f => g.words.every(w => f.words.includes(w))));
+}
+
+/**
+ * Choose what a hint reveals, never repeating what earlier hints already showed
+ * @param {Object} game - Game state
+ * @param {string} type - 'word' (a word and its group's color), 'category' (a group's name and color)
+ *   or 'pair' (two words from the same group)
+ * @returns {Object|null} {words, tiles, category, color} (fields the type reveals), or null if nothing is
+ *   left; `tiles` are the keys of the hinted words' tiles, so the right copy of a repeated word is shown
+ */
+function pickHint(game, type) {
+  const groups = unsolvedGroups(game);
+  const words = gameWords(game);
+  const keys = tileKeys(game.data);
+  // Key of the tile on the board that counts towards group g for word w
+  const tileFor = (g, w) => keys[game.order.find(i => words[i] === w && tileGroup(game, i) === g)];
+  const pick = list => list.length ? list[Math.floor(Math.random() * list.length)] : null;
+  const shown = game.hints.filter(h => h.type === type);
+  if (type === 'word') {
+    const known = new Set(shown.flatMap(h => h.words));
+    // A word two unsolved groups share can't be given one color
+    const shared = w => groups.filter(g => g.words.includes(w)).length > 1;
+    const options = groups.flatMap(g => g.words.filter(w => !known.has(w) && !shared(w))
+      .map(w => ({words: [w], tiles: [tileFor(g, w)], color: g.colorName})));
+    return pick(options);
+  }
+  if (type === 'category') {
+    const options = groups.filter(g => !shown.some(h => h.category === g.category));
+    const g = pick(options);
+    return g && {category: g.category, color: g.colorName};
+  }
+  if (type === 'pair') {
+    const seen = new Set(shown.map(h => h.words.slice().sort().join(',')));
+    const options = groups.flatMap(g => g.words.flatMap((a, i) => g.words.slice(i + 1).map(b => ({g, pair: [a, b]}))))
+      .filter(({pair}) => !seen.has(pair.slice().sort().join(',')));
+    const picked = pick(options);
+    return picked && {words: picked.pair, tiles: picked.pair.map(w => tileFor(picked.g, w))};
+  }
+  return null;
+}
+
+/**
+ * Hints still available from the budget
+ * @param {Object} game - Game state
+ * @returns {number} Remaining budget hints
+ */
+function hintsLeft(game) {
+  return Math.max(0, HINT_BUDGET - game.hints.filter(h => h.cost === 'budget').length);
+}
+
+/**
+ * Use a hint and record it in game.hints, paid either from the hint budget or as a mistake
+ * (the last allowed mistake ends the game like a wrong guess does)
+ * @param {Object} game - Game state
+ * @param {string} type - 'word', 'category' or 'pair' (see pickHint())
+ * @param {string} cost - 'budget' or 'mistake'
+ * @param {number} now - Timestamp (defaults to Date.now())
+ * @returns {Object} {ok: true, hint, failed} or {ok: false, reason: 'locked' | 'budget' | 'none'}
+ */
+function useHint(game, type, cost, now=Date.now()) {
+  if (game.locked) return {ok: false, reason: 'locked'};
+  if (cost === 'budget' && hintsLeft(game) === 0) return {ok: false, reason: 'budget'};
+  const picked = pickHint(game, type);
+  if (!picked) return {ok: false, reason: 'none'};
+  const hint = {type, ...picked, cost, ts: now, elapsed: game.elapsed};
+  game.hints.push(hint);
+  let failed = false;
+  if (cost === 'mistake') {
+    addMistake(game);
+    failed = outOfMistakes(game);
+    if (failed) {
+      game.failed = true;
+      revealAll(game, now);
+    }
+  }
+  return {ok: true, hint, failed};
+}
+
+/* ---------- Replay ---------- */
+
+/**
+ * Rebuild a game guess by guess, for stepping through it afterwards
+ * The real board order isn't saved, so tiles start in an order derived from the puzzle content
+ * (stable across replays, unrelated to the groups). Guesses whose tiles are no longer all in
+ * the puzzle are skipped. Hints paid for with a mistake are charged in timestamp order between
+ * the guesses, so a game lost through hints replays as lost. A game that ran out of time (or was
+ * otherwise saved as failed) ends that way once its guesses are replayed.
+ * @param {Object} puzzle - Puzzle object, normalized or not (not modified)
+ * @param {Array<Object>} guesses - The game's `guesses` ({words, tiles?, ts?} entries)
+ * @param {Object} rules - The game's rules (defaults to DEFAULT_RULES)
+ * @param {Object} played - What else the game recorded: {hints, timedOut, failed} as kept in the game state
+ * @returns {Array<Object>} Frames of {guess, total, tiles, selected, selectedTiles, found, mistakes, outcome,
+ *   category, elapsed, finished}: the starting board (guess 0), one frame per guess showing the board
+ *   as the guess was made, and a final frame after the last guess. `tiles` and `selected` are words;
+ *   `selectedTiles` are the positions in `tiles` of the guessed tiles, which tells copies of a word apart;
+ *   `finished` is 'solved', 'failed' or 'timedOut' on the final frame of a finished game, otherwise null
+ */
+function replayFrames(puzzle, guesses, rules=DEFAULT_RULES, {hints=[], timedOut=false, failed=false}={}) {
+  const game = createGame(JSON.parse(JSON.stringify(sharePayload(puzzle))));
+  game.rules = {...DEFAULT_RULES, ...normalizeRules(rules)};
+  const words = gameWords(game);
+  const keys = tileKeys(game.data);
+  game.order = words.map((w, i) => i).sort((a, b) => hashString(`${game.id}:${keys[a]}`).localeCompare(hashString(`${game.id}:${keys[b]}`)));
+  // Guesses saved before tiles were recorded only name words; give them free tiles
+  const guessTiles = (g, taken) => Array.isArray(g.tiles) ? g.tiles.map(k => keys.indexOf(k)).filter(i => i !== -1) : claimTiles(g.words, words, taken);
+  const size = puzzleShape(game.data).size;
+  const playable = guesses.filter(g => g.words.length === size && new Set(guessTiles(g)).size === size);
+  const startTs = playable.length && Number.isFinite(playable[0].ts) ? playable[0].ts : null;
+  const mistakeHints = hints.filter(h => h.cost === 'mistake').sort((a, b) => a.ts - b.ts);
+  // Charge the mistake hints taken up to a moment, ending the game like useHint() does
+  const chargeHints = until => {
+    while (!game.locked && mistakeHints.length && !(mistakeHints[0].ts > until)) {
+      const hint = mistakeHints.shift();
+      addMistake(game);
+      if (outOfMistakes(game)) {
+        game.failed = true;
+        revealAll(game, hint.ts);
+      }
+    }
+  };
+  const frame = extra => ({
+    guess: 0,
+    total: playable.length,
+    tiles: game.order.map(i => words[i]),
+    selected: [],
+    selectedTiles: [],
+    found: game.found.map(f => ({...f, words: [...f.words]})),
+    mistakes: game.mistakes,
+    outcome: null,
+    category: null,
+    elapsed: null,
+    finished: null,
+    ...extra
+  });
+
+  const frames = [frame({})];
+  playable.forEach((g, n) => {
+    // Guesses saved without a timestamp can't be placed among the hints; charge those at the end
+    chargeHints(Number.isFinite(g.ts) ? g.ts : -Infinity);
+    if (game.locked) return;
+    game.selection = new Set(guessTiles(g, solvedTiles(game)));
+    const before = frame({
+      guess: n + 1,
+      selected: [...game.selection].map(i => words[i]),
+      selectedTiles: [...game.selection].map(i => game.order.indexOf(i))
+    });
+    const result = submitGuess(game, g.ts);
+    before.outcome = result.status === 'correct' ? 'correct' : result.oneAway ? 'one-away' : 'wrong';
+    before.category = result.group ? result.group.category : null;
+    before.elapsed = Number.isFinite(g.elapsed) ? g.elapsed
+      : startTs !== null && Number.isFinite(g.ts) ? g.ts - startTs : null;
+    frames.push(before);
+    game.selection.clear();
+  });
+  chargeHints(Infinity);
+  // The clock isn't replayed, so take a timed-out (or otherwise failed) ending from the save
+  const ranOut = timedOut && !game.locked;
+  if (!game.locked && (timedOut || failed)) {
+    game.failed = true;
+    revealAll(game);
+  }
+  frames.push(frame({
+    guess: playable.length,
+    finished: ranOut ? 'timedOut' : game.locked ? (game.failed ? 'failed' : 'solved') : null
+  }));
+  return frames;
+}
+
+/* ---------- Guess history ---------- */
+
+/**
+ * Color name for a color stored with a guess (saves from early versions stored hex values)
+ * @param {string} c - Color name or hex value
+ * @returns {string} Color name, or the input if it is neither
+ */
+const guessColorName = c => COLOR_EMOJI[c] ? c : COLOR_REVERSE[c] || c;
+
+/**
+ * Guess-by-guess account of a game, in the order the guesses were made
+ * One away is worked out from the words, so it is reported in hard mode too (where the
+ * game kept it quiet)
+ * @param {Object} puzzle - Normalized puzzle
+ * @param {Array<Object>} guesses - The game's `guesses`
+ * @returns {Array<Object>} {words, colors, correct, oneAway, outOfOrder} per guess; `words` are in
+ *   the order they were picked and `colors` names the group each one really belonged to
+ */
+function guessHistory(puzzle, guesses) {
+  return guesses.map(g => ({
+    words: [...g.words],
+    colors: g.colors.map(guessColorName),
+    correct: !!g.correct,
+    oneAway: !g.correct && !g.outOfOrder && isOneAway(puzzle, g.words),
+    outOfOrder: !!g.outOfOrder
+  }));
+}
+
+/**
+ * Words most often put in the wrong group over a game's wrong guesses
+ * In each wrong guess the group with the most words is taken as the one the player was going
+ * for, and the other words count as misplaced; when no group leads, every word counts.
+ * Out-of-order guesses were right about the words, so they are left out
+ * @param {Array<Object>} guesses - The game's `guesses`
+ * @returns {Array<Object>} {word, color, count}, most misplaced first (then alphabetically)
+ */
+function confusedWords(guesses) {
+  const tally = new Map();
+  guesses.filter(g => !g.correct && !g.outOfOrder).forEach(g => {
+    const colors = g.colors.map(guessColorName);
+    const counts = {};
+    colors.forEach(c => counts[c] = (counts[c] || 0) + 1);
+    const top = Math.max(...Object.values(counts));
+    const leaders = Object.keys(counts).filter(c => counts[c] === top);
+    g.words.forEach((word, k) => {
+      if (leaders.length === 1 && colors[k] === leaders[0]) return;
+      const key = `${word}\n${colors[k]}`;
+      if (!tally.has(key)) tally.set(key, {word, color: colors[k], count: 0});
+      tally.get(key).count++;
+    });
+  });
+  return [...tally.values()].sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+}
+
+/* ---------- Save format ---------- */
+
+// Version of the save records produced by serializeGame(). Records without a `v` field are
+// version 2, which copied the whole puzzle into `data` and stored order/selection as indices.
+// Optional fields added since (elapsed, timeLimit, timedOut, hints, rules) default when missing, so they need no bump
+const SAVE_VERSION = 4;
+
+// Upgrades from one save version to the next, keyed by the version they upgrade from
+const SAVE_MIGRATIONS = {
+  /**
+   * v2 → v3: resolve order/selection indices to words using the embedded puzzle copy,
+   * record its content hash, drop the copy and fill in `failed` for saves that predate it
+   */
+  2: rec => {
+    const {data, ...rest} = rec;
+    const words = data && Array.isArray(data.groups) ? data.groups.flatMap(g => g.words.map(w => String(w).toUpperCase())) : [];
+    const toWords = list => (Array.isArray(list) ? list : []).map(i => words[i]).filter(w => w !== undefined);
+    return {
+      ...rest,
+      v: 3,
+      hash: words.length ? puzzleHash(data) : null,
+      order: toWords(rec.order),
+      selection: toWords(rec.selection),
+      failed: rec.failed === undefined ? !!rec.locked && rec.mistakes >= MAX_MISTAKES : !!rec.failed
+    };
+  },
+
+  /**
+   * v3 → v4: order and selection named tiles by their word, so both copies of a word used in two
+   * groups were saved under the same name; number the copies the way tileKeys() does. Found groups
+   * and guesses saved without `tiles` are matched to tiles by word when loaded or replayed
+   */
+  3: rec => ({
+    ...rec,
+    v: 4,
+    order: numberCopies(Array.isArray(rec.order) ? rec.order : []),
+    selection: numberCopies(Array.isArray(rec.selection) ? rec.selection : [])
+  })
+};
+
+/**
+ * Bring a save record up to SAVE_VERSION by running each migration in turn
+ * @param {Object} rec - Parsed save record of any version
+ * @returns {Object|null} Current-version record, or null if it is from a newer build or unreadable
+ */
+function migrateSave(rec) {
+  if (!rec || typeof rec !== 'object') return null;
+  let out = rec;
+  let v = Number.isInteger(rec.v) ? rec.v : 2;
+  while (v < SAVE_VERSION) {
+    if (!SAVE_MIGRATIONS[v]) return null;
+    out = SAVE_MIGRATIONS[v](out);
+    v = out.v;
+  }
+  return v === SAVE_VERSION ? out : null;
+}
+
+/**
+ * Reconcile a save with a puzzle whose content no longer matches the save's hash
+ * (a typo fix, reordered words, a replaced group...). The recovery rules:
+ * - Found groups are kept only if the puzzle still has a group with exactly those words;
+ *   category and color come from the current puzzle
+ * - Finished games keep their result, mistakes and guess history; the board shows every
+ *   current group, kept ones first
+ * - Games in progress keep mistakes and guesses; the board keeps the saved order for tiles
+ *   that still exist, appends new tiles, and clears the selection
+ * @param {Object} rec - Current-version save record
+ * @param {Object} puzzle - Normalized current puzzle
+ * @returns {Object} Adjusted record carrying the puzzle's current hash
+ */
+function recoverSave(rec, puzzle) {
+  const sameWords = (a, b) => a.length === b.length && a.every(w => b.includes(w));
+  const words = puzzle.groups.flatMap(g => g.words);
+  const keys = tileKeys(puzzle);
+  const taken = new Set();
+  const toFound = g => {
+    const tiles = claimTiles(g.words, words, taken);
+    tiles.forEach(i => taken.add(i));
+    return {category: g.category, words: [...g.words], tiles: tiles.map(i => keys[i]), color: COLOR_MAP[g.color] || g.color};
+  };
+  const kept = [];
+  (rec.found || []).forEach(f => {
+    const g = puzzle.groups.find(grp => sameWords(grp.words, f.words || []));
+    if (g && !kept.includes(g)) kept.push(g);
+  });
+  let found = kept.map(toFound);
+  let order = [];
+  if (rec.locked) {
+    found = found.concat(puzzle.groups.filter(g => !kept.includes(g)).map(toFound));
+  } else {
+    const remaining = keys.filter((k, i) => !taken.has(i));
+    const stillThere = (rec.order || []).filter(k => remaining.includes(k));
+    order = stillThere.concat(shuffle(remaining.filter(k => !stillThere.includes(k))));
+  }
+  return {...rec, hash: puzzleHash(puzzle), found, order, selection: []};
+}
+
+/**
+ * Turn a game into a save record
+ * Stores tile keys (see tileKeys()) rather than board positions and the puzzle's content hash,
+ * so saves stay meaningful if the puzzle is edited later
+ * @param {Object} game - Game state
+ * @returns {Object} Save record at SAVE_VERSION (plain JSON)
+ */
+function serializeGame(game) {
+  const keys = tileKeys(game.data);
+  return {
+    v: SAVE_VERSION,
+    id: game.id,
+    hash: puzzleHash(game.data),
+    rules: game.rules,
+    order: game.order.map(i => keys[i]),
+    selection: [...game.selection].map(i => keys[i]),
+    found: game.found,
+    mistakes: game.mistakes,
+    mistakesLog: game.mistakesLog,
+    guesses: game.guesses,
+    locked: game.locked,
+    failed: game.failed,
+    finishedAt: game.finishedAt,
+    elapsed: game.elapsed,
+    timeLimit: game.timeLimit,
+    timedOut: game.timedOut,
+    hints: game.hints
+  };
+}
+
+/**
+ * Load a save record into a game of the same puzzle
+ * Migrates old save versions, and runs recoverSave() if the puzzle changed since the save
+ * @param {Object} game - Game state from createGame()
+ * @param {Object} rec - Parsed save record of any version
+ * @returns {Object|null} {recovered} (true if the save had to be adjusted), or null if the
+ *   record is unreadable and the game was left untouched
+ */
+function restoreGame(game, rec) {
+  let p = migrateSave(rec);
+  if (!p) return null;
+  const recovered = p.hash !== puzzleHash(game.data);
+  if (recovered) p = recoverSave(p, game.data);
+  const words = gameWords(game);
+  const keys = tileKeys(game.data);
+  const toIndices = list => (Array.isArray(list) ? list : []).map(k => keys.indexOf(k)).filter(i => i !== -1);
+  game.rules = {...DEFAULT_RULES, ...normalizeRules(p.rules)};
+  game.order = toIndices(p.order);
+  game.selection = new Set(toIndices(p.selection));
+  game.found = Array.isArray(p.found) ? p.found : [];
+  // Found groups saved before tiles were recorded (or naming tiles that are gone) get free tiles with their words
+  game.found.forEach(f => {
+    const fw = Array.isArray(f.words) ? f.words : [];
+    const tiles = Array.isArray(f.tiles) ? f.tiles : [];
+    if (tiles.length === fw.length && tiles.every(k => keys.includes(k))) return;
+    f.tiles = [];
+    f.tiles = claimTiles(fw, words, solvedTiles(game)).map(i => keys[i]);
+  });
+  game.mistakes = Number.isInteger(p.mistakes) ? p.mistakes : 0;
+  game.mistakesLog = Array.isArray(p.mistakesLog) ? p.mistakesLog : [];
+  game.guesses = Array.isArray(p.guesses) ? p.guesses : [];
+  game.locked = !!p.locked;
+  game.failed = !!p.failed;
+  game.finishedAt = Number.isFinite(p.finishedAt) ? p.finishedAt : null;
+  game.elapsed = Number.isFinite(p.elapsed) && p.elapsed > 0 ? p.elapsed : 0;
+  game.timeLimit = Number.isFinite(p.timeLimit) && p.timeLimit > 0 ? p.timeLimit : null;
+  game.timedOut = !!p.timedOut;
+  game.hints = Array.isArray(p.hints) ? p.hints : [];
+  syncOrder(game);
+  return {recovered};
+}
+
+/* ---------- Pack linting ---------- */
+
+// Word problems lintPack() warns about: pattern, what is wrong, and how to write it instead
+const LINT_WORD_RULES = [
+  {pattern: /^\s|\s$|\s{2}/, problem: 'has extra spaces', fix: 'trim it and use single spaces'},
+  {pattern: /['`\u00b4\u2018]/, problem: 'uses a straight or backtick apostrophe', fix: 'write apostrophes as ’'},
+  {pattern: /[\u2010-\u2015\u2212]/, problem: 'uses a typographic dash', fix: 'write hyphens as -'},
+  {pattern: /[\u00a0\u00ad\u200b-\u200d\u2060\ufeff]/, problem: 'contains invisible or non-breaking characters', fix: 'retype it'}
+];
+
+/**
+ * Canonical form of a word for comparing across puzzles: trimmed, composed and uppercased, with
+ * apostrophe variants folded together
+ * @param {string} word - Word as written in the pack
+ * @returns {string} Comparison key
+ */
+const lintWordKey = word => word.normalize('NFC').trim().toUpperCase().replace(/['`\u00b4\u2018]/g, '’');
+
+/**
+ * Check a puzzle pack's content for problems that validation lets through but players would notice
+ * Errors break the game (wrong counts, a word twice in one group, duplicate ids, unknown colors,
+ * notes for words a group doesn't have);
+ * warnings are worth a second look (a word shared by two groups, missing or repeated colors,
+ * typography, tiles too long to read, words reused across puzzles)
+ * @param {Object} pack - Pack object as parsed from JSON (not normalized)
+ * @returns {Object} {counts: {puzzles, groups, words}, issues: [{level: 'error'|'warning', message}]}
+ */
+function lintPack(pack) {
+  const counts = {puzzles: 0, groups: 0, words: 0};
+  const issues = [];
+  const error = message => issues.push({level: 'error', message});
+  const warning = message => issues.push({level: 'warning', message});
+  if (!pack || !Array.isArray(pack.puzzles)) {
+    error('Pack has no "puzzles" array');
+    return {counts, issues};
+  }
+
+  const ids = new Map();
+  const wordUse = new Map();
+  const colorOrders = [];
+  pack.puzzles.forEach((p, i) => {
+    const where = `Puzzle ${i + 1}`;
+    counts.puzzles++;
+    if (!p || !Array.isArray(p.groups)) {
+      error(`${where}: has no "groups" array`);
+      return;
+    }
+    if (typeof p.id === 'string' && p.id) {
+      if (ids.has(p.id)) error(`${where}: id "${p.id}" is already used by ${ids.get(p.id)}`);
+      else ids.set(p.id, where);
+    }
+    const count = p.groups.length;
+    const size = p.groups[0] && Array.isArray(p.groups[0].words) ? p.groups[0].words.length : 0;
+    const {groups: groupLimits, size: sizeLimits} = SHAPE_LIMITS;
+    if (count < groupLimits.min || count > groupLimits.max) {
+      error(`${where}: has ${count} group${count === 1 ? '' : 's'} (expected ${groupLimits.min} to ${groupLimits.max})`);
+    }
+    if (size < sizeLimits.min || size > sizeLimits.max) {
+      error(`${where}: groups have ${size} words (expected ${sizeLimits.min} to ${sizeLimits.max})`);
+    }
+
+    const seen = new Map();
+    p.groups.forEach((g, gi) => {
+      const group = `${where}, group ${gi + 1}`;
+      counts.groups++;
+      if (!g || typeof g.category !== 'string' || !g.category.trim()) error(`${group}: has no category`);
+      if (g) groupDetailProblems(g).forEach(problem => error(`${group}: ${problem}`));
+      const words = g && Array.isArray(g.words) ? g.words : [];
+      if (gi > 0 && words.length !== size) error(`${group}: has ${words.length} words (group 1 has ${size})`);
+      words.forEach(w => {
+        counts.words++;
+        if (typeof w !== 'string' || !w.trim()) {
+          error(`${group}: has an empty word`);
+          return;
+        }
+        LINT_WORD_RULES.forEach(rule => {
+          if (rule.pattern.test(w)) warning(`${group}: "${w}" ${rule.problem}; ${rule.fix}`);
+        });
+        if (COPY_SUFFIX.test(w.trim())) error(`${group}: "${w}" ends in # and a number, which is kept for repeated words`);
+        if (w.normalize('NFC') !== w) warning(`${group}: "${w}" is not in composed Unicode form (NFC)`);
+        const fontPx = parseInt(calculateFontSize(w.trim().toUpperCase()), 10);
+        if (fontPx < MIN_TILE_FONT_PX) warning(`${group}: "${w}" is too long for a tile (renders at ${fontPx}px)`);
+        const key = lintWordKey(w);
+        seen.set(key, (seen.get(key) || []).concat(gi));
+        if (!wordUse.has(key)) wordUse.set(key, new Set());
+        wordUse.get(key).add(where);
+      });
+    });
+    seen.forEach((groups, key) => {
+      if (groups.length < 2) return;
+      const distinct = [...new Set(groups)];
+      if (distinct.length < groups.length) error(`${where}: "${key}" appears more than once in a group`);
+      else warning(`${where}: "${key}" is in groups ${distinct.map(g => g + 1).join(' and ')}; check the red herring is intended`);
+    });
+
+    const colors = p.groups.map(g => g && (COLOR_REVERSE[g.color] || g.color));
+    colors.forEach((c, gi) => {
+      if (!COLOR_MAP[c]) error(`${where}, group ${gi + 1}: unknown color "${c}" (use ${COLOR_ORDER.join(', ')})`);
+    });
+    COLOR_ORDER.forEach(c => {
+      const n = colors.filter(x => x === c).length;
+      if (n > 1) warning(`${where}: has ${n} ${c} groups`);
+    });
+    // Puzzles are expected to use the easiest colors first, e.g. yellow, green and blue for three groups
+    const expected = COLOR_ORDER.slice(0, count);
+    expected.filter(c => !colors.includes(c)).forEach(c => warning(`${where}: has no ${c} group`));
+    if (expected.every(c => colors.includes(c))) {
+      colorOrders.push({where, count, order: colors.join(', ')});
+    }
+  });
+
+  // Groups may be listed easiest first or hardest first, but the pack should pick one and stick to it
+  const directions = colorOrders.map(({count, order}) => {
+    const easiest = COLOR_ORDER.slice(0, count);
+    if (order === easiest.join(', ')) return 'easiest';
+    if (order === easiest.reverse().join(', ')) return 'hardest';
+    return null;
+  });
+  const usual = directions.filter(d => d === 'hardest').length > directions.filter(d => d === 'easiest').length ? 'hardest' : 'easiest';
+  colorOrders.forEach(({where, count, order}, n) => {
+    if (directions[n] === usual) return;
+    const want = COLOR_ORDER.slice(0, count);
+    if (usual === 'hardest') want.reverse();
+    warning(`${where}: groups are listed ${order}; the rest of the pack lists them ${usual} first (${want.join(', ')})`);
+  });
+
+  wordUse.forEach((where, key) => {
+    if (where.size > 1) warning(`"${key}" is used in ${[...where].join(', ')}`);
+  });
+  return {counts, issues};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COLOR_MAP,
+    COLOR_EMOJI,
+    COLOR_REVERSE,
+    MAX_MISTAKES,
+    COLOR_ORDER,
+    SHAPE_LIMITS,
+    DEFAULT_RULES,
+    HINT_BUDGET,
+    shuffle,
+    normalizePuzzle,
+    groupDetailProblems,
+    groupDetails,
+    puzzleShape,
+    calculateFontSize,
+    MIN_TILE_FONT_PX,
+    hashString,
+    sharePayload,
+    puzzleHash,
+    normalizeRules,
+    gameRules,
+    outOfMistakes,
+    isNextGroup,
+    createGame,
+    gameWords,
+    COPY_SUFFIX,
+    tileKeys,
+    tileGroup,
+    syncOrder,
+    toggleTile,
+    submitGuess,
+    revealAll,
+    clearSelection,
+    shuffleTiles,
+    moveTile,
+    raiseSelection,
+    tickGame,
+    timeLeft,
+    unsolvedGroups,
+    pickHint,
+    hintsLeft,
+    useHint,
+    replayFrames,
+    guessHistory,
+    confusedWords,
+    SAVE_VERSION,
+    migrateSave,
+    recoverSave,
+    serializeGame,
+    restoreGame,
+    lintPack
+  };
+}
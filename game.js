@@ -1,8 +1,3 @@
-// Color mappings for puzzle groups
-const COLOR_MAP = {purple:'#9c27b0', blue:'#4da3ff', green:'#4caf50', yellow:'#ffca28'};
-const COLOR_EMOJI = {purple:'🟪', blue:'🟦', green:'🟩', yellow:'🟨'};
-const COLOR_REVERSE = {'#9c27b0':'purple', '#4da3ff':'blue', '#4caf50':'green', '#ffca28':'yellow'};
-
 /**
  * Shorthand for document.querySelector
  * @param {string} s - CSS selector
@@ -19,13 +14,6 @@ const $ = (s, r=document) => r.querySelector(s);
  */
 const $$ = (s, r=document) => Array.from(r.querySelectorAll(s));
 
-/**
- * Fisher-Yates shuffle algorithm to randomize array order
- * @param {Array} a - Array to shuffle
- * @returns {Array} Shuffled copy of the array
- */
-const shuffle = a => a.map(v => [Math.random(), v]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
-
 /**
  * Display a temporary toast notification message at the bottom of the screen
  * @param {string} m - Message to display
@@ -37,30 +25,10 @@ const toast = (m, ms=1400) => {
   t.style.display = 'block';
   clearTimeout(t._h);
   t._h = setTimeout(() => t.style.display = 'none', ms);
+  announce(m);
 };
 
-/**
- * Calculate dynamic font size based on text length
- * Shorter text gets larger fonts, longer text gets smaller fonts
- * @param {string} text - Text to size
- * @returns {string} CSS font-size value (e.g., '16px', '12px')
- */
-const calculateFontSize = (text) => {
-  const len = text.length;
-  if (len <= 6) return '18px';
-  if (len <= 8) return '17px';
-  if (len <= 10) return '16px';
-  if (len <= 12) return '15px';
-  if (len <= 14) return '14px';
-  if (len <= 16) return '13px';
-  if (len <= 18) return '12px';
-  if (len <= 21) return '11px';
-  if (len <= 24) return '10px';
-  if (len <= 28) return '9px';
-  return '8px';
-};
-
-// LocalStorage key prefix for saved game state
+// LocalStorage key prefix for saved game state (the record format is versioned separately, see SAVE_VERSION)
 const STORAGE_PREFIX = 'connections.v2.';
 
 // Current puzzle index in the allPuzzles array
@@ -69,584 +37,3338 @@ let currentIndex = 0;
 // Array of all available puzzles
 let allPuzzles = [];
 
-// Game state for the current puzzle
+// Puzzle pack currently being played (DEFAULT_PACK unless another pack was loaded)
+let currentPack = null;
+
+// Where the puzzle on the game screen came from: 'pack', 'playtest' (Create screen) or 'shared' (link)
+let playMode = 'pack';
+
+// Game state for the current puzzle: an engine game (see createGame() in engine.js) plus its save key
 const state = {
-  data: null,           // Normalized puzzle data
+  data: null,           // Normalized puzzle data (any shape puzzleShape() accepts)
   id: null,             // Puzzle ID (e.g., 'p1', 'p2')
-  order: [],            // Shuffled order of word indices
-  selection: new Set(), // Currently selected word indices
+  key: null,            // LocalStorage key for this puzzle's saved progress
+  rules: null,          // Rules for this game: mistake limit, hard mode, shuffle (see gameRules())
+  order: [],            // Shuffled order of unsolved word indices
+  selection: new Set(), // Currently selected word indices, at most one group's size
   found: [],            // Array of solved groups
   mistakes: 0,          // Number of incorrect guesses
   mistakesLog: [],      // History of incorrect guesses
   guesses: [],          // All guesses made (for results display)
   locked: false,        // True when puzzle is complete (solved or failed)
-  failed: false         // True when player used all 4 mistakes
+  failed: false,        // True when the player ran out of mistakes (if the rules limit them) or time
+  finishedAt: null,     // Timestamp when the puzzle was solved or failed (for streaks)
+  elapsed: 0,           // Milliseconds of active play
+  timeLimit: null,      // Milliseconds allowed, or null when untimed
+  timedOut: false,      // True when the time limit ran out
+  hints: []             // Hints used so far (see useHint())
+};
+
+/* ---------- Screens ---------- */
+
+/**
+ * Show one top-level screen and hide every other section in <main>
+ * @param {string} id - Element id of the section to show
+ */
+function showScreen(id) {
+  stopReplay();
+  stopClock();
+  stopCountdown();
+  $$('main > section').forEach(sec => sec.hidden = sec.id !== id);
+}
+
+/**
+ * Show the intro/welcome screen with the pack's greeting and emoji art
+ * Hides all other screens
+ */
+function showIntro() {
+  showScreen('introScreen');
+  playMode = 'pack';
+  $('#homeBtn').disabled = true;
+  $('#homeBtn').textContent = t('nav.puzzles');
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#logo').textContent = `🔗 ${presentationText('title')}`;
+  renderIntro();
+  renderDaily();
+  startCountdown();
+}
+
+/**
+ * Show the home screen with puzzle selector grid
+ * Hides game and results screens, disables nav buttons, updates logo
+ */
+function showHome() {
+  showScreen('homeScreen');
+  playMode = 'pack';
+  $('#homeBtn').disabled = true;
+  $('#homeBtn').textContent = t('nav.puzzles');
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#logo').textContent = `🔗 ${presentationText('title')}`;
+  renderHome();
+  startCountdown();
+}
+
+/**
+ * Show the game screen with the puzzle board
+ * Hides home and results screens, enables nav buttons, shows action bar, updates logo with puzzle number
+ * (or "Play-test" with an Editor button when trying out a draft, or "Shared Puzzle" for a link)
+ */
+function showGame() {
+  showScreen('gameScreen');
+  $('#homeBtn').disabled = false;
+  $('#homeBtn').textContent = t(playMode === 'playtest' ? 'nav.editor' : 'nav.puzzles');
+  $('#resetBtn').disabled = false;
+  $('#actionbar').style.display = '';
+  $('#logo').textContent = gameTitle();
+  buildBoard();
+  updateCongratsDisplay();
+  startClock();
+}
+
+/**
+ * Show the results screen with colored emoji grid of guesses
+ * Hides home and game screens, hides action bar
+ */
+function showResults() {
+  showScreen('resultsScreen');
+  $('#homeBtn').disabled = false;
+  $('#logo').textContent = gameTitle();
+  $('#actionbar').style.display = 'none';
+  $('#replayBtn').hidden = !state.locked || state.guesses.length === 0;
+  // Explanations give the answers away, so they wait until the game is over
+  $('#learnMoreBtn').hidden = !state.locked || !state.found.some(g => groupDetails(state.data, g));
+  $('#learnMoreBtn').setAttribute('aria-expanded', 'false');
+  $('#learnMore').hidden = true;
+  // The detailed history colors every word by its group, so it waits for the end too
+  $('#historyBtn').hidden = !state.locked || state.guesses.length === 0;
+  $('#historyBtn').setAttribute('aria-expanded', 'false');
+  $('#guessHistory').hidden = true;
+  $('#shareFallback').hidden = true;
+  renderResults();
+}
+
+/**
+ * Header title for the loaded puzzle: its number in the pack, or what kind of one-off puzzle it is
+ * @returns {string} Logo text
+ */
+function gameTitle() {
+  return {
+    playtest: t('logo.playtest'),
+    shared: t('logo.shared')
+  }[playMode] || `🔗 ${presentationText('title')} #${currentIndex + 1}`;
+}
+
+/**
+ * Show the pack error screen listing why a puzzle pack could not be loaded
+ * @param {Error} err - PackError (with details) or any other load failure
+ */
+function showPackError(err) {
+  showScreen('errorScreen');
+  $('#homeBtn').disabled = true;
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#errorMessage').textContent = err.message || String(err);
+  const details = Array.isArray(err.details) ? err.details : [];
+  $('#errorList').innerHTML = details.map(d => `<li>${escapeHtml(d)}</li>`).join('');
+}
+
+/**
+ * Update congratulations/failure message visibility based on game state
+ * Shows success banner if solved, failure banner if failed, and results button if game is over
+ */
+function updateCongratsDisplay() {
+  const solved = state.locked && !state.failed;
+  $('#congrats').hidden = !solved;
+  $('#failure').hidden = !state.failed;
+  $('#failureReason').textContent = t(state.timedOut ? 'game.failureTime' : 'game.failureMistakes');
+  $('#resultsButtonWrapper').style.display = state.locked ? 'block' : 'none';
+}
+
+/* ---------- Routing ---------- */
+
+// Route of the puzzle currently loaded into state (e.g. '#/puzzle/3'), so switching between
+// its game and results screens does not reload it
+let loadedRoute = null;
+
+// Hashes visited in this tab, newest last; lets navigate() step back instead of stacking duplicates
+const routeStack = [];
+
+/**
+ * Parse a location hash into a route
+ * Routes: #/ (intro), #/puzzles, #/puzzle/7, #/puzzle/7/results, #/create, #/stats, #/settings,
+ * #/create/play/2 (play-test a draft puzzle), #/s/<code> (shared link), each game route with /results
+ * @param {string} hash - location.hash value
+ * @returns {Object} {name: 'intro'|'home'|'create'|'stats'|'settings'|'puzzle'|'playtest'|'shared'|'unknown', index, code, results}
+ */
+function parseRoute(hash) {
+  const parts = String(hash).replace(/^#\/?/, '').split('/').filter(Boolean);
+  const results = parts.length > 1 && parts[parts.length - 1] === 'results';
+  if (results) parts.pop();
+  const [head, a, b] = parts;
+  const num = v => /^[1-9]\d*$/.test(v || '') ? Number(v) - 1 : -1;
+  if (parts.length === 0) return {name: 'intro'};
+  if (head === 'puzzles' && parts.length === 1 && !results) return {name: 'home'};
+  if (head === 'create' && parts.length === 1 && !results) return {name: 'create'};
+  if (head === 'stats' && parts.length === 1 && !results) return {name: 'stats'};
+  if (head === 'settings' && parts.length === 1 && !results) return {name: 'settings'};
+  if (head === 'puzzle' && parts.length === 2 && num(a) >= 0) return {name: 'puzzle', index: num(a), results};
+  if (head === 'create' && a === 'play' && parts.length === 3 && num(b) >= 0) return {name: 'playtest', index: num(b), results};
+  if (head === 's' && parts.length === 2) return {name: 'shared', code: a, results};
+  return {name: 'unknown'};
+}
+
+/**
+ * Go to a route, adding a history entry
+ * Steps back instead when the target is the previous entry (e.g. results → Back to Puzzle),
+ * so the browser Back button does not bounce between the same two screens
+ * @param {string} hash - Target hash such as '#/puzzles'
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function navigate(hash, replace=false) {
+  if (replace) {
+    history.replaceState(null, '', hash);
+    routeStack.pop();
+    route();
+  } else if (routeStack.length > 1 && routeStack[routeStack.length - 2] === hash) {
+    history.back();
+  } else if ((location.hash || '#/') === hash) {
+    route();
+  } else {
+    location.hash = hash;
+  }
+}
+
+/**
+ * Load a pack puzzle unless it is already the loaded game
+ * @param {number} i - Index in allPuzzles
+ */
+function openPackPuzzle(i) {
+  const hash = `#/puzzle/${i + 1}`;
+  if (loadedRoute !== hash) {
+    currentIndex = i;
+    loadPuzzle(allPuzzles[i]);
+    loadedRoute = hash;
+  }
+  playMode = 'pack';
+}
+
+/**
+ * Show the screen for the current location hash, loading its puzzle first if needed
+ * Runs on startup (once the pack is loaded) and on every hashchange
+ */
+async function route() {
+  if (!currentPack) return;
+  const hash = location.hash || '#/';
+  if (routeStack[routeStack.length - 2] === hash) routeStack.pop();
+  else if (routeStack[routeStack.length - 1] !== hash) routeStack.push(hash);
+
+  const r = parseRoute(hash);
+  if (r.name === 'intro') {
+    showIntro();
+  } else if (r.name === 'home') {
+    showHome();
+  } else if (r.name === 'create') {
+    showCreate();
+  } else if (r.name === 'stats') {
+    showStats();
+  } else if (r.name === 'settings') {
+    showSettings();
+  } else if (r.name === 'puzzle') {
+    if (!allPuzzles[r.index]) {
+      toast(t('route.noPuzzle', {number: r.index + 1}));
+      navigate('#/puzzles', true);
+      return;
+    }
+    if (!isReleased(r.index)) {
+      toast(t('route.locked', {number: r.index + 1, date: formatDate(releaseDate(r.index))}));
+      navigate('#/puzzles', true);
+      return;
+    }
+    openPackPuzzle(r.index);
+    r.results ? showResults() : showGame();
+  } else if (r.name === 'playtest') {
+    if (!openDraftPuzzle(r.index)) {
+      navigate('#/create', true);
+      return;
+    }
+    r.results ? showResults() : showGame();
+  } else if (r.name === 'shared') {
+    if (!await openSharedPuzzle(r.code)) return;
+    r.results ? showResults() : showGame();
+  } else {
+    navigate('#/', true);
+  }
+}
+
+/* ---------- Home grid ---------- */
+
+// Difficulties a puzzle may declare in its pack, easiest first
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Status filters offered on the puzzle selector ('all' shows every puzzle)
+const LIBRARY_STATUSES = ['all', 'unsolved', 'inProgress', 'solved', 'failed'];
+
+// Orders the puzzle selector can list puzzles in
+const LIBRARY_SORTS = ['number', 'title', 'difficulty', 'status'];
+
+// Order of statuses when sorting by status: games worth getting back to come first
+const STATUS_ORDER = ['inProgress', 'unsolved', 'failed', 'solved'];
+
+// Search, filters and sort order chosen on the puzzle selector (kept while the page is open)
+const libraryView = {query: '', status: 'all', tag: '', sort: 'number'};
+
+/**
+ * Get the completion status of a puzzle from localStorage
+ * @param {Object} p - Puzzle object with id property
+ * @param {string} key - LocalStorage key to read (defaults to storageKey(p))
+ * @returns {string} 'solved', 'failed', 'inProgress', or 'unsolved'
+ */
+function getPuzzleStatus(p, key=storageKey(p)) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return 'unsolved';
+    return statusFromSave(JSON.parse(raw));
+  } catch(e) {}
+  return 'unsolved';
+}
+
+/**
+ * Get the completion status recorded in a parsed save
+ * An unfinished game counts as in progress once a guess was made or a hint taken
+ * @param {Object} obj - Save record as written by saveSilently()
+ * @returns {string} 'solved', 'failed', 'inProgress', or 'unsolved'
+ */
+function statusFromSave(obj) {
+  if (obj && obj.locked) {
+    if (obj.failed === undefined ? obj.mistakes >= MAX_MISTAKES : obj.failed) return 'failed';
+    // A game only locks when it is lost or every group is found, whatever the puzzle's shape
+    if (Array.isArray(obj.found) && obj.found.length > 0) return 'solved';
+  } else if (obj && [obj.guesses, obj.hints].some(list => Array.isArray(list) && list.length > 0)) {
+    return 'inProgress';
+  }
+  return 'unsolved';
+}
+
+/**
+ * Build the localStorage key for a puzzle's saved progress
+ * Puzzles from the default pack keep the original un-namespaced keys so existing progress
+ * survives; puzzles from any other pack are namespaced by pack id to avoid collisions, even a
+ * loaded pack that happens to use the id "default"
+ * @param {Object} p - Puzzle object with id property
+ * @param {Object} pack - Pack the puzzle belongs to (defaults to the current pack)
+ * @returns {string} LocalStorage key
+ */
+function storageKey(p, pack=currentPack) {
+  const ns = pack && pack !== DEFAULT_PACK ? `${pack.id}/` : '';
+  return STORAGE_PREFIX + ns + (p.id || '');
+}
+
+/**
+ * Convert puzzle status string to emoji symbol
+ * @param {string} status - 'solved', 'failed', 'inProgress', or 'unsolved'
+ * @returns {string} Emoji representing the status (✅, ✖️, ⏸️, or ⬜)
+ */
+function statusSymbol(status) {
+  return {solved: '✅', failed: '✖️', inProgress: '⏸️'}[status] || '⬜';
+}
+
+/**
+ * Describe each puzzle of a pack the way the puzzle selector lists it
+ * @param {Array<Object>} puzzles - Puzzles of the pack
+ * @param {Object} pack - Pack the puzzles belong to (defaults to the current pack)
+ * @returns {Array<Object>} {index, puzzle, released, status} per puzzle, status being 'locked' when not out yet
+ */
+function libraryEntries(puzzles, pack=currentPack) {
+  return puzzles.map((puzzle, index) => {
+    const released = isReleased(index, pack);
+    return {index, puzzle, released, status: released ? getPuzzleStatus(puzzle, storageKey(puzzle, pack)) : 'locked'};
+  });
+}
+
+/**
+ * Fold text for searching: lowercase with accents removed, so "cafe" finds "CAFÉ"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldSearch(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Whether a puzzle passes the selector's search and filters
+ * Every search word must appear in the puzzle's title, id, collection, tags or categories.
+ * Puzzles not out yet only show while nothing is searched or filtered, so their contents stay hidden
+ * @param {Object} entry - Entry from libraryEntries()
+ * @param {Object} view - {query, status, tag} as kept in libraryView
+ * @returns {boolean} True when the puzzle should be listed
+ */
+function matchesLibrary(entry, view) {
+  const words = foldSearch(view.query).split(/\s+/).filter(Boolean);
+  if (!entry.released) return !words.length && !view.tag && view.status === 'all';
+  const p = entry.puzzle;
+  if (view.status !== 'all' && entry.status !== view.status) return false;
+  if (view.tag && !(p.tags || []).includes(view.tag)) return false;
+  const text = foldSearch([p.title, p.id, p.collection, ...(p.tags || []), ...p.groups.map(g => g.category)]
+    .filter(Boolean).join('\n'));
+  return words.every(word => text.includes(word));
+}
+
+/**
+ * Sort selector entries; ties, and the 'number' order, keep pack order.
+ * Puzzles not out yet always come last
+ * @param {Array<Object>} entries - Entries from libraryEntries()
+ * @param {string} sort - One of LIBRARY_SORTS
+ * @returns {Array<Object>} Sorted copy of entries
+ */
+function sortLibrary(entries, sort) {
+  const rank = (list, value) => list.includes(value) ? list.indexOf(value) : list.length;
+  const label = e => e.puzzle.title || e.puzzle.id || '';
+  const compare = {
+    title: (a, b) => label(a).localeCompare(label(b), currentLocale, {numeric: true, sensitivity: 'base'}),
+    difficulty: (a, b) => rank(DIFFICULTIES, a.puzzle.difficulty) - rank(DIFFICULTIES, b.puzzle.difficulty),
+    status: (a, b) => rank(STATUS_ORDER, a.status) - rank(STATUS_ORDER, b.status)
+  }[sort] || (() => 0);
+  return [...entries].sort((a, b) => (b.released - a.released) || compare(a, b) || a.index - b.index);
+}
+
+/**
+ * Split listed puzzles into their collections, in the order the pack first mentions each
+ * @param {Array<Object>} entries - Entries to list, already filtered and sorted
+ * @param {Array<Object>} puzzles - Every puzzle of the pack
+ * @returns {Array<Object>} {name, entries} per collection with something to list; name is '' for puzzles in none
+ */
+function libraryCollections(entries, puzzles) {
+  const names = [...new Set(puzzles.map(p => p.collection || ''))];
+  return names
+    .map(name => ({name, entries: entries.filter(e => (e.puzzle.collection || '') === name)}))
+    .filter(c => c.entries.length);
+}
+
+/**
+ * Tags used anywhere in a pack, alphabetically
+ * @param {Array<Object>} puzzles - Puzzles of the pack
+ * @returns {Array<string>} Distinct tags
+ */
+function libraryTags(puzzles) {
+  return [...new Set(puzzles.flatMap(p => p.tags || []))].sort((a, b) => a.localeCompare(b, currentLocale));
+}
+
+/**
+ * Difficulty shown as filled dots, one more per level (●○○ for easy)
+ * @param {string} difficulty - One of DIFFICULTIES
+ * @returns {string} Dots, or '' for a puzzle without a known difficulty
+ */
+function difficultyDots(difficulty) {
+  const level = DIFFICULTIES.indexOf(difficulty);
+  return level === -1 ? '' : '●'.repeat(level + 1) + '○'.repeat(DIFFICULTIES.length - level - 1);
+}
+
+/**
+ * Fill the selector's filter and sort menus for the current locale and pack
+ * The tag menu only shows when some puzzle has tags
+ * @param {Array<Object>} puzzles - Puzzles of the pack
+ */
+function renderLibraryControls(puzzles) {
+  const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+  const tags = libraryTags(puzzles);
+  if (libraryView.tag && !tags.includes(libraryView.tag)) libraryView.tag = '';
+  $('#libraryStatus').innerHTML = LIBRARY_STATUSES
+    .map(s => option(s, t(s === 'all' ? 'library.allStatuses' : `legend.${s}`))).join('');
+  $('#libraryTag').innerHTML = option('', t('library.allTags')) + tags.map(tag => option(tag, `#${tag}`)).join('');
+  $('#libraryTag').hidden = !tags.length;
+  $('#librarySort').innerHTML = LIBRARY_SORTS
+    .map(s => option(s, t(`library.sort.${s}`))).join('');
+  $('#libraryStatus').value = libraryView.status;
+  $('#libraryTag').value = libraryView.tag;
+  $('#librarySort').value = libraryView.sort;
+  if ($('#librarySearch').value !== libraryView.query) $('#librarySearch').value = libraryView.query;
+}
+
+/**
+ * Build the selector tile for one puzzle
+ * @param {Object} entry - Entry from libraryEntries()
+ * @param {Object} pack - Pack the puzzle belongs to
+ * @param {number} today - Index of today's puzzle in a scheduled pack
+ * @returns {HTMLElement} Tile button
+ */
+function libraryTile(entry, pack, today) {
+  const {index: i, puzzle: p, status: s} = entry;
+  const tile = document.createElement('button');
+  tile.className = 'tile';
+  if (!entry.released) {
+    tile.classList.add('locked');
+    tile.disabled = true;
+    tile.setAttribute('aria-label', t('tile.locked', {number: i + 1, date: formatDate(releaseDate(i, pack))}));
+    tile.innerHTML = `<div class="status" aria-hidden="true">🔒</div><div class="num">${i + 1}</div>`;
+    return tile;
+  }
+  tile.classList.toggle('today', i === today);
+  const label = t(i === today ? 'tile.today' : 'tile.label', {number: i + 1, status: t(`status.${s}`)});
+  const difficulty = DIFFICULTIES.includes(p.difficulty) ? t(`difficulty.${p.difficulty}`) : '';
+  tile.setAttribute('aria-label', [label, p.title, difficulty].filter(Boolean).join(', '));
+  if (p.tags && p.tags.length) tile.title = p.tags.map(tag => `#${tag}`).join(' ');
+  tile.innerHTML = `<div class="status" aria-hidden="true">${statusSymbol(s)}</div><div class="num">${i + 1}</div>` +
+    (p.title ? `<div class="tile-title" aria-hidden="true">${escapeHtml(p.title)}</div>` : '') +
+    (difficulty ? `<div class="difficulty" aria-hidden="true">${difficultyDots(p.difficulty)}</div>` : '');
+  tile.onclick = () => navigate(`#/puzzle/${i + 1}`);
+  return tile;
+}
+
+/**
+ * Apply a change to the selector's search, filters or sort and redraw the puzzle list
+ * @param {Object} change - Fields of libraryView to change
+ */
+function updateLibrary(change) {
+  Object.assign(libraryView, change);
+  renderHome();
+}
+
+/**
+ * Render the home screen puzzle grid
+ * Creates clickable tiles for each puzzle showing status, number, title and difficulty, with the pack name
+ * for non-default packs. Puzzles are grouped under their collections and pass through the search, filters
+ * and sort order chosen above the grid.
+ * In a scheduled pack, puzzles not yet released are locked and today's puzzle is highlighted
+ */
+function renderHome() {
+  const grid = $('#homeGrid');
+  grid.innerHTML = '';
+  const pack = currentPack || DEFAULT_PACK;
+  const info = pack === DEFAULT_PACK ? '' : [pack.title || pack.id, pack.author && t('home.byAuthor', {author: pack.author})].filter(Boolean).join(' ');
+  $('#packInfo').textContent = info;
+  $('#packInfo').hidden = !info;
+  $('#lockedLegend').hidden = !pack.startDate;
+  renderLibraryControls(allPuzzles);
+  const today = scheduleDay(pack);
+  const entries = libraryEntries(allPuzzles, pack);
+  const shown = sortLibrary(entries.filter(e => matchesLibrary(e, libraryView)), libraryView.sort);
+  libraryCollections(shown, allPuzzles).forEach(c => {
+    const section = document.createElement('section');
+    section.className = 'collection';
+    if (c.name) {
+      const all = entries.filter(e => (e.puzzle.collection || '') === c.name);
+      const heading = document.createElement('h2');
+      heading.textContent = c.name;
+      const count = document.createElement('span');
+      count.className = 'collection-count';
+      count.textContent = t('library.solvedCount', {solved: all.filter(e => e.status === 'solved').length, total: all.length});
+      heading.append(' ', count);
+      section.appendChild(heading);
+    }
+    const tiles = document.createElement('div');
+    tiles.className = 'home-grid';
+    c.entries.forEach(e => tiles.appendChild(libraryTile(e, pack, today)));
+    section.appendChild(tiles);
+    grid.appendChild(section);
+  });
+  $('#libraryEmpty').hidden = shown.length > 0;
+  renderDaily();
+}
+
+/* ---------- Presentation ---------- */
+
+// Built-in intro pictures made of emoji blocks, each with the emoji for the Start button
+const INTRO_ART = {
+  tree: {
+    emoji: '🎄',
+    rows: [
+      '🟨',                 // Star
+      '🟩',                 // Top of tree
+      '🟩'.repeat(3),
+      '🟩'.repeat(5),
+      '🟩'.repeat(7),
+      '🟩'.repeat(9),       // Bottom
+      '🟫'                  // Trunk
+    ]
+  },
+  cake: {
+    emoji: '🎂',
+    rows: [
+      '🕯️🕯️🕯️',             // Candles
+      '🟪'.repeat(5),       // Icing
+      '🟨'.repeat(7),
+      '🟪'.repeat(7),
+      '🟨'.repeat(7),
+      '⬜'.repeat(9)        // Plate
+    ]
+  },
+  heart: {
+    emoji: '💝',
+    rows: [
+      '⬛🟥🟥⬛🟥🟥⬛',
+      '🟥'.repeat(7),
+      '🟥'.repeat(7),
+      '⬛🟥🟥🟥🟥🟥⬛',
+      '⬛⬛🟥🟥🟥⬛⬛',
+      '⬛⬛⬛🟥⬛⬛⬛'
+    ]
+  }
+};
+
+// Emoji for the Start button when a pack brings its own picture
+const CUSTOM_ART_EMOJI = '🧩';
+
+// How the game presents itself; a pack's `presentation` overrides any of these.
+// In the text fields {name} is replaced with the recipient and {title} with the title.
+// The default title, greeting and message are shown in the player's language (see presentation())
+const DEFAULT_PRESENTATION = {
+  recipient: 'Laura',
+  title: '{name}\'s Connections',          // Header logo and browser tab
+  greeting: 'Merry Christmas, {name}!',    // Intro screen heading
+  message: 'I hope you enjoy these puzzles!',
+  shareHeader: '{title}',                  // First line of copied results, before the puzzle number
+  art: 'tree'                              // A key of INTRO_ART, or a list of emoji rows
 };
 
-// Maximum number of mistakes allowed before game over
-const MAX_MISTAKES = 4;
+/**
+ * Presentation settings for a pack, with DEFAULT_PRESENTATION filling the gaps
+ * Texts the pack leaves out come from the message catalog, so they follow the interface language
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @returns {Object} Complete presentation settings
+ */
+function presentation(pack=currentPack) {
+  return {
+    ...DEFAULT_PRESENTATION,
+    title: t('intro.title'),
+    greeting: t('intro.greeting'),
+    message: t('intro.message'),
+    ...(pack && pack.presentation)
+  };
+}
+
+/**
+ * One of a pack's presentation texts with {name} and {title} filled in
+ * @param {string} field - 'title', 'greeting', 'message' or 'shareHeader'
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @returns {string} Text ready to show
+ */
+function presentationText(field, pack=currentPack) {
+  const p = presentation(pack);
+  const withName = text => String(text).replace(/\{name\}/g, () => p.recipient);
+  const title = withName(p.title);
+  return field === 'title' ? title : withName(p[field]).replace(/\{title\}/g, () => title);
+}
+
+/**
+ * Resolve a presentation's art setting to rows of emoji and the Start button emoji
+ * Unknown art names fall back to the tree
+ * @param {string|Array<string>} art - Key of INTRO_ART or a list of rows
+ * @returns {Object} {rows, emoji}
+ */
+function introArt(art) {
+  if (Array.isArray(art)) return {rows: art.map(String), emoji: CUSTOM_ART_EMOJI};
+  // Own keys only, so names like "constructor" don't pick up Object's prototype
+  return Object.hasOwn(INTRO_ART, art) ? INTRO_ART[art] : INTRO_ART.tree;
+}
+
+/**
+ * Fill the intro screen from the current pack's presentation: greeting, message, emoji art
+ * and Start button
+ */
+function renderIntro() {
+  const art = introArt(presentation().art);
+  $('#greeting').textContent = presentationText('greeting');
+  $('#greetingMessage').textContent = presentationText('message');
+  $('#greetingMessage').hidden = !presentationText('message');
+  $('#startBtn').textContent = t('intro.start', {emoji: art.emoji});
+  const box = $('#introArt');
+  box.innerHTML = '';
+  box.hidden = art.rows.length === 0;
+  art.rows.forEach(row => {
+    const rowDiv = document.createElement('div');
+    rowDiv.className = 'tree-row';
+    rowDiv.textContent = row;
+    box.appendChild(rowDiv);
+  });
+}
+
+/**
+ * Check a pack's optional presentation settings
+ * @param {*} pres - Value of the pack's `presentation` field
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validatePresentation(pres) {
+  if (!pres || typeof pres !== 'object' || Array.isArray(pres)) return ['"presentation" must be an object'];
+  const errors = [];
+  Object.keys(pres).forEach(k => {
+    if (!Object.hasOwn(DEFAULT_PRESENTATION, k)) {
+      errors.push(`"presentation": unknown field "${k}" (use ${Object.keys(DEFAULT_PRESENTATION).join(', ')})`);
+    } else if (k === 'art') {
+      const rowsOk = Array.isArray(pres.art) && pres.art.length <= 12 && pres.art.every(r => typeof r === 'string');
+      if (!Object.hasOwn(INTRO_ART, pres.art) && !rowsOk) {
+        errors.push(`"presentation.art" must be one of ${Object.keys(INTRO_ART).join(', ')} or a list of up to 12 rows of emoji`);
+      }
+    } else if (typeof pres[k] !== 'string') {
+      errors.push(`"presentation.${k}" must be a string`);
+    }
+  });
+  return errors;
+}
+
+/* ---------- Daily schedule ---------- */
+
+// Milliseconds in a day; schedule dates are handled as whole day numbers (days since 1970-01-01)
+const DAY_MS = 86400000;
+
+// Interval refreshing the next-puzzle countdown while the intro or selector is on screen
+let countdownTimer = null;
+
+/**
+ * Parse a YYYY-MM-DD date
+ * @param {string} text - Date text
+ * @returns {number|null} Day number, or null if the text is not a real calendar date
+ */
+function parseDay(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text));
+  if (!m) return null;
+  const day = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / DAY_MS;
+  return formatDay(day) === text ? day : null;
+}
+
+/**
+ * Format a day number as YYYY-MM-DD
+ * @param {number} day - Day number
+ * @returns {string} Date text
+ */
+function formatDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Day number of a moment in the player's local time zone, so puzzles unlock at local midnight
+ * @param {Date} date - Moment in time
+ * @returns {number} Day number
+ */
+function localDay(date) {
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+}
+
+/**
+ * Index of today's puzzle in a scheduled pack (puzzle 1 is released on the pack's startDate,
+ * puzzle 2 the day after, and so on)
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {number|null} Index (negative before the start date, past the end once all are out),
+ *   or null if the pack has no schedule
+ */
+function scheduleDay(pack=currentPack, now=new Date()) {
+  const start = pack ? parseDay(pack.startDate) : null;
+  return start === null ? null : localDay(now) - start;
+}
+
+/**
+ * Check whether a puzzle can be played yet
+ * @param {number} i - Puzzle index
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {boolean} True for released puzzles and every puzzle of an unscheduled pack
+ */
+function isReleased(i, pack=currentPack, now=new Date()) {
+  const today = scheduleDay(pack, now);
+  return today === null || i <= today;
+}
+
+/**
+ * Date a puzzle of a scheduled pack is released
+ * @param {number} i - Puzzle index
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @returns {string|null} YYYY-MM-DD, or null if the pack has no schedule
+ */
+function releaseDate(i, pack=currentPack) {
+  const start = pack ? parseDay(pack.startDate) : null;
+  return start === null ? null : formatDay(start + i);
+}
+
+/**
+ * Time until the next puzzle of a scheduled pack is released
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {number|null} Milliseconds, or null if nothing is left to release
+ */
+function msUntilNextRelease(pack=currentPack, now=new Date()) {
+  const today = scheduleDay(pack, now);
+  if (today === null || today + 1 >= pack.puzzles.length) return null;
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + Math.max(1, -today));
+  return next - now;
+}
+
+/**
+ * Count the days in a row, back from today, whose puzzle was solved on the day it came out
+ * Today's puzzle only counts once solved, so the streak isn't lost before the day is over
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {number} Streak length (0 for unscheduled packs)
+ */
+function dailyStreak(pack=currentPack, now=new Date()) {
+  const today = scheduleDay(pack, now);
+  if (today === null) return 0;
+  const start = parseDay(pack.startDate);
+  const solvedOnTheDay = i => {
+    try {
+      const save = JSON.parse(localStorage.getItem(storageKey(pack.puzzles[i], pack)));
+      return statusFromSave(save) === 'solved' && Number.isFinite(save.finishedAt) &&
+        localDay(new Date(save.finishedAt)) === start + i;
+    } catch(e) {
+      return false;
+    }
+  };
+  let i = Math.min(today, pack.puzzles.length - 1);
+  if (i === today && !solvedOnTheDay(i)) i--;
+  let streak = 0;
+  while (i >= 0 && solvedOnTheDay(i)) {
+    streak++;
+    i--;
+  }
+  return streak;
+}
+
+/**
+ * Format a countdown, with whole days up front once it is a day or longer
+ * @param {number} ms - Time left
+ * @returns {string} E.g. "4:05:09" or "2d 4:05:09"
+ */
+function formatCountdown(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  if (!days) return formatDuration(ms);
+  const h = Math.floor(ms % DAY_MS / 3600000);
+  const m = String(Math.floor(ms % 3600000 / 60000)).padStart(2, '0');
+  const sec = String(Math.floor(ms % 60000 / 1000)).padStart(2, '0');
+  return t('daily.countdown', {days, time: `${h}:${m}:${sec}`});
+}
+
+/**
+ * Describe where a scheduled pack is up to: the next release and the daily streak
+ * @param {Object} pack - Puzzle pack (defaults to the current pack)
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {string} One line of text, or '' for unscheduled packs
+ */
+function dailyStatus(pack=currentPack, now=new Date()) {
+  const today = scheduleDay(pack, now);
+  if (today === null) return '';
+  const wait = msUntilNextRelease(pack, now);
+  const next = wait === null ? t('daily.allOut', {count: pack.puzzles.length})
+    : t(today < 0 ? 'daily.first' : 'daily.next', {time: formatCountdown(wait)});
+  return `${next} · ${t('daily.streak', {count: dailyStreak(pack, now)})}`;
+}
+
+/**
+ * Show today's puzzle button on the intro screen and the schedule line on the intro and selector
+ * screens (all hidden for unscheduled packs)
+ */
+function renderDaily() {
+  const today = scheduleDay();
+  const status = dailyStatus();
+  const playable = today !== null && today >= 0 && today < allPuzzles.length;
+  $('#todayBtn').hidden = !playable;
+  if (playable) $('#todayBtn').textContent = t('intro.today', {number: today + 1});
+  $$('.daily-status').forEach(el => {
+    el.textContent = status;
+    el.hidden = !status;
+  });
+}
+
+/**
+ * Tick the next-puzzle countdown every second, re-rendering the screen when a puzzle unlocks
+ */
+function startCountdown() {
+  stopCountdown();
+  if (scheduleDay() === null) return;
+  let released = allPuzzles.filter((p, i) => isReleased(i)).length;
+  countdownTimer = setInterval(() => {
+    const now = allPuzzles.filter((p, i) => isReleased(i)).length;
+    if (now !== released && !$('#homeScreen').hidden) renderHome();
+    else renderDaily();
+    released = now;
+  }, 1000);
+}
+
+/**
+ * Stop the next-puzzle countdown
+ */
+function stopCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+}
+
+/* ---------- Game ---------- */
+
+/**
+ * Build and render the game board
+ * Shows solved groups at top, then either remaining cards (if playing) or all unsolved groups (if locked).
+ * The board is an ARIA grid: the card at focusIndex is its only tab stop, and keeps focus across rebuilds
+ */
+function buildBoard() {
+  const b = $('#board');
+  const hadFocus = b.contains(document.activeElement);
+  // Explanations the player opened stay open when the board is redrawn
+  const opened = new Set($$('.group-details[open]', b).map(d => d.dataset.category));
+  b.innerHTML = '';
+
+  // Rows are as wide as a group
+  const {size} = puzzleShape(state.data);
+  b.style.setProperty('--cols', size);
+
+  // First, render any solved groups at the top, with the puzzle's explanation if it has one
+  state.found.forEach(g => {
+    const bar = groupBar(g, size, groupDetails(state.data, g));
+    const details = $('.group-details', bar);
+    if (details && opened.has(g.category)) details.open = true;
+    b.appendChild(bar);
+  });
+
+  // Then render the remaining cards (a locked game has already revealed every group)
+  if (!state.locked) {
+    const words = gameWords(state);
+    focusIndex = Math.max(0, Math.min(focusIndex, state.order.length - 1));
+    const cards = state.order.map((i, pos) => {
+      const d = document.createElement('div');
+      d.className = 'card';
+      d.setAttribute('role', 'gridcell');
+      d.textContent = words[i];
+      d.style.fontSize = calculateFontSize(words[i]);
+      d.classList.toggle('selected', state.selection.has(i));
+      d.setAttribute('aria-selected', String(state.selection.has(i)));
+      d.tabIndex = pos === focusIndex ? 0 : -1;
+      d.dataset.pos = pos;
+      d.onclick = () => {
+        // The click that ends a drag shouldn't also select the card
+        if (Date.now() - lastDrop < 300) return;
+        focusCard(pos);
+        toggle(i, d);
+      };
+      d.onpointerdown = e => startDrag(e, pos);
+      return d;
+    });
+    boardRows(cards, size).forEach(row => b.appendChild(row));
+    if (hadFocus && cards.length) cards[focusIndex].focus();
+  }
+
+  $('#mistakes b').textContent = mistakesLabel(state.mistakes, state.rules);
+  $('#rules').hidden = !rulesSummary(state.rules);
+  $('#rules b').textContent = rulesSummary(state.rules);
+  $('#puzzleId b').textContent = state.id || '-';
+  renderClock();
+  renderHints();
+  reflectLockedUI();
+}
+
+/**
+ * Create the full-width bar showing a solved group on a board
+ * @param {Object} g - Found group with category, words and hex color
+ * @param {number} columns - Width of the board in tiles (the puzzle's group size)
+ * @param {Object|null} details - groupDetails() for the group, shown as an expandable "Why?" section
+ * @returns {Element} Grid row holding one full-width cell
+ */
+function groupBar(g, columns=4, details=null) {
+  const wrap = document.createElement('div');
+  wrap.className = 'group';
+  wrap.setAttribute('role', 'row');
+  wrap.style.borderLeftColor = g.color || '#43699e';
+  wrap.style.gridColumn = `span ${columns}`;
+  const wordsHtml = g.words.map(w => `<span style="font-size:${calculateFontSize(w)}">${escapeHtml(w)}</span>`).join(' · ');
+  const label = t('game.solvedGroup', {category: g.category, words: g.words.join(', ')});
+  const more = details
+    ? `<details class="group-details" data-category="${escapeHtml(g.category)}"><summary>${t('game.why')}</summary>${detailsHtml(details)}</details>`
+    : '';
+  wrap.innerHTML = `<div role="gridcell" aria-colspan="${columns}" aria-label="${escapeHtml(label)}"><div class="title">${escapeHtml(g.category)}</div><div class="words">${wordsHtml}</div>${more}</div>`;
+  return wrap;
+}
+
+/**
+ * HTML for a group's explanation and word notes
+ * @param {Object} details - groupDetails() result
+ * @returns {string} A paragraph for the explanation and a definition list for the notes
+ */
+function detailsHtml(details) {
+  const explanation = details.explanation ? `<p>${escapeHtml(details.explanation)}</p>` : '';
+  const notes = details.notes.length
+    ? `<dl>${details.notes.map(n => `<dt>${escapeHtml(n.word)}</dt><dd>${escapeHtml(n.note)}</dd>`).join('')}</dl>`
+    : '';
+  return explanation + notes;
+}
+
+/**
+ * Update UI button states based on whether puzzle is locked
+ * Disables submit/deselect/shuffle buttons when puzzle is complete
+ */
+function reflectLockedUI() {
+  const disabled = state.locked;
+  $('#submitBtn').disabled = disabled;
+  $('#deselectBtn').disabled = disabled;
+  $('#shuffleBtn').disabled = disabled || !state.rules.shuffle;
+  $('#arrangeBtn').disabled = disabled;
+  $('#resetBtn').disabled = false;
+}
+
+/**
+ * Format a mistake count against a game's limit
+ * @param {number} mistakes - Mistakes made
+ * @param {Object} rules - Game rules
+ * @returns {string} "m/limit", or just "m" with unlimited mistakes
+ */
+function mistakesLabel(mistakes, rules) {
+  return rules.maxMistakes === null ? String(mistakes) : `${mistakes}/${rules.maxMistakes}`;
+}
+
+/**
+ * Describe how a game's rules differ from the standard ones
+ * @param {Object} rules - Game rules
+ * @returns {string} E.g. "Hard, Unlimited mistakes", or '' for the standard rules
+ */
+function rulesSummary(rules) {
+  const parts = [];
+  if (rules.hardMode) parts.push(t('rules.hard'));
+  if (rules.maxMistakes === null) parts.push(t('rules.unlimited'));
+  else if (rules.maxMistakes !== DEFAULT_RULES.maxMistakes) parts.push(t('rules.mistakes', {count: rules.maxMistakes}));
+  if (!rules.shuffle) parts.push(t('rules.noShuffle'));
+  return parts.join(', ');
+}
+
+/**
+ * Toggle selection state of a word card
+ * @param {number} i - Word index in the puzzle
+ * @param {Element} d - DOM element for the card
+ */
+function toggle(i, d) {
+  const result = toggleTile(state, i);
+  if (!result.ok) {
+    toast(t(result.reason === 'locked' ? 'toast.finished' : 'toast.maxWords', {count: puzzleShape(state.data).size}));
+    return;
+  }
+  d.classList.toggle('selected', result.selected);
+  d.setAttribute('aria-selected', String(result.selected));
+  announce(t(result.selected ? 'announce.selected' : 'announce.deselected', {word: d.textContent, count: state.selection.size, size: puzzleShape(state.data).size}));
+}
+
+/**
+ * Submit the current selection as a guess
+ * Runs the guess through the engine, then reports the outcome and updates the board
+ */
+function submit() {
+  if (clockTimer) {
+    tickClock();
+    if (state.locked) return;
+  }
+  const result = submitGuess(state);
+  if (result.status === 'locked') {
+    toast(t('toast.finished'));
+    return;
+  }
+  if (result.status === 'incomplete') {
+    toast(t('toast.pickExactly', {count: puzzleShape(state.data).size}));
+    return;
+  }
+  if (result.status === 'repeat') {
+    toast(t('toast.repeat'));
+    return;
+  }
+
+  if (result.status === 'correct') {
+    toast(t(result.solved ? 'toast.solved' : 'toast.correct'));
+    if (!result.solved) announce(t('announce.correct', {category: result.group.category, count: state.order.length}));
+    if (result.solved) updateCongratsDisplay();
+    buildBoard();
+  } else if (result.failed) {
+    toast(t('toast.maxMistakes'));
+    buildBoard();
+    updateCongratsDisplay();
+  } else {
+    $('#mistakes b').textContent = mistakesLabel(state.mistakes, state.rules);
+    const message = t(result.outOfOrder ? 'announce.notNext' : result.oneAway ? 'announce.oneAway' : 'announce.notGroup');
+    toast(t(result.outOfOrder ? 'toast.outOfOrder' : result.oneAway ? 'toast.oneAway' : 'toast.notGroup'));
+    if (state.rules.maxMistakes === null) {
+      announce(t('announce.soFar', {message, count: state.mistakes}));
+    } else {
+      announce(t('announce.left', {message, count: state.rules.maxMistakes - state.mistakes}));
+    }
+  }
+  if (state.locked) stopClock();
+  saveSilently();
+}
+
+/**
+ * Clear all selected cards
+ * Updates both state and UI to remove all selections
+ */
+function deselectAll() {
+  if (!clearSelection(state)) {
+    toast(t('toast.finished'));
+    return;
+  }
+  $$('#board .card').forEach(c => {
+    c.classList.remove('selected');
+    c.setAttribute('aria-selected', 'false');
+  });
+  announce(t('announce.cleared'));
+}
+
+/**
+ * Shuffle the order of cards on the board
+ * Re-randomizes the display order of remaining unsolved words
+ */
+function shuffleBoard() {
+  if (!shuffleTiles(state)) {
+    toast(t(state.locked ? 'toast.finished' : 'toast.noShuffle'));
+    return;
+  }
+  buildBoard();
+}
+
+/* ---------- Hints ---------- */
+
+// How hints are paid for ('budget' uses the per-game HINT_BUDGET); 'off' hides the Hint button
+const HINT_MODES = ['off', 'budget', 'mistake'];
+
+/**
+ * Describe what a hint revealed
+ * @param {Object} h - Hint entry from state.hints
+ * @returns {string} Hint text
+ */
+function hintText(h) {
+  const color = `${COLOR_EMOJI[h.color] || ''} ${t(`color.${h.color}`)}`.trim();
+  if (h.type === 'word') return t('hint.word', {word: h.words[0], color});
+  if (h.type === 'category') return t('hint.category', {color, category: h.category});
+  return t('hint.pair', {first: h.words[0], second: h.words[1]});
+}
+
+/**
+ * Update the Hint button, the list of hints used and the hinted cards on the board
+ */
+function renderHints() {
+  const btn = $('#hintBtn');
+  btn.hidden = settings.hints === 'off';
+  btn.disabled = state.locked || (settings.hints === 'budget' && hintsLeft(state) === 0);
+  btn.textContent = settings.hints === 'budget'
+    ? t('hint.left', {count: hintsLeft(state)})
+    : t('hint.costly');
+  if (btn.disabled) $('#hintMenu').hidden = true;
+  $('#hintList').innerHTML = state.hints
+    .map(h => `<li>💡 ${escapeHtml(hintText(h))}${h.cost === 'mistake' ? ` <small>${escapeHtml(t('hint.costNote'))}</small>` : ''}</li>`)
+    .join('');
+  // Hints name tiles, so only the copy of a repeated word in the hinted group lights up
+  // (hints saved before tiles were recorded only name words)
+  const words = gameWords(state);
+  const keys = tileKeys(state.data);
+  const hintedTiles = new Set(state.hints.flatMap(h => h.tiles || []));
+  const hintedWords = new Set(state.hints.filter(h => !h.tiles).flatMap(h => h.words || []));
+  $$('#board .card').forEach(c => {
+    const i = state.order[c.dataset.pos];
+    c.classList.toggle('hinted', hintedTiles.has(keys[i]) || hintedWords.has(words[i]));
+  });
+}
+
+/**
+ * Use a hint of the chosen type, paid for according to the hint setting
+ * @param {string} type - 'word', 'category' or 'pair'
+ */
+function takeHint(type) {
+  $('#hintMenu').hidden = true;
+  const result = useHint(state, type, settings.hints);
+  if (!result.ok) {
+    toast(t({
+      locked: 'toast.finished',
+      budget: 'hint.noneLeft',
+      none: 'hint.nothing'
+    }[result.reason]));
+    return;
+  }
+  toast(`💡 ${hintText(result.hint)}`, 3000);
+  if (result.failed) {
+    toast(t('toast.maxMistakes'));
+    stopClock();
+    updateCongratsDisplay();
+  }
+  buildBoard();
+  saveSilently();
+}
+
+/* ---------- Board accessibility ---------- */
+
+// Position (in state.order) of the card that is the board's single tab stop
+let focusIndex = 0;
+
+// Letters typed in quick succession on the board, for jumping to a word
+const typeAhead = {text: '', at: 0};
+
+/**
+ * Read a message out through the screen-reader live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  const el = $('#announcer');
+  if (!el) return;
+  // Clearing first makes a repeated message (e.g. "Pick exactly 4" twice) announce again
+  el.textContent = '';
+  clearTimeout(el._h);
+  el._h = setTimeout(() => el.textContent = message, 50);
+}
+
+/**
+ * Group board cells into grid rows (rows use display:contents, so layout is unchanged)
+ * @param {Array<Element>} cells - Cards in board order
+ * @param {number} columns - Cards per row, the puzzle's group size
+ * @returns {Array<Element>} Row elements
+ */
+function boardRows(cells, columns=4) {
+  const rows = [];
+  for (let k = 0; k < cells.length; k += columns) {
+    const row = document.createElement('div');
+    row.className = 'board-row';
+    row.setAttribute('role', 'row');
+    cells.slice(k, k + columns).forEach(c => row.appendChild(c));
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Move the board's tab stop to a card and focus it
+ * @param {number} pos - Card position on the board
+ */
+function focusCard(pos) {
+  const cards = $$('#board .card');
+  if (!cards[pos]) return;
+  cards.forEach(c => c.tabIndex = -1);
+  cards[pos].tabIndex = 0;
+  cards[pos].focus();
+  focusIndex = pos;
+}
+
+/**
+ * Keyboard handling for the board grid: arrows/Home/End move, Shift+arrows move the card itself,
+ * Space toggles, letters jump to a word
+ * @param {KeyboardEvent} e - keydown event from inside the board
+ */
+function onBoardKey(e) {
+  if (!e.target.classList.contains('card')) return;
+  const last = $$('#board .card').length - 1;
+  const pos = Number(e.target.dataset.pos);
+  const {size} = puzzleShape(state.data);
+  const rowStart = pos - pos % size;
+  const moves = {
+    ArrowLeft: pos - 1,
+    ArrowRight: pos + 1,
+    ArrowUp: pos - size,
+    ArrowDown: pos + size,
+    Home: e.ctrlKey ? 0 : rowStart,
+    End: e.ctrlKey ? last : Math.min(last, rowStart + size - 1)
+  };
+  if (e.key in moves) {
+    e.preventDefault();
+    if (moves[e.key] < 0 || moves[e.key] > last) return;
+    if (e.shiftKey && e.key.startsWith('Arrow')) arrangeTile(pos, moves[e.key]);
+    else focusCard(moves[e.key]);
+  } else if (e.key === ' ') {
+    e.preventDefault();
+    e.target.click();
+  } else if (e.key.length === 1 && e.key.trim() && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    typeAheadTo(e.key);
+  }
+}
+
+/**
+ * Focus the next card starting with the letters typed so far
+ * Typing the same letter repeatedly cycles through the words starting with it
+ * @param {string} ch - Character just typed
+ */
+function typeAheadTo(ch) {
+  const now = Date.now();
+  typeAhead.text = now - typeAhead.at < 800 ? typeAhead.text + ch.toUpperCase() : ch.toUpperCase();
+  typeAhead.at = now;
+  const cycling = typeAhead.text.split('').every(c => c === typeAhead.text[0]);
+  const prefix = cycling ? typeAhead.text[0] : typeAhead.text;
+  const words = $$('#board .card').map(c => c.textContent.toUpperCase());
+  const start = cycling ? focusIndex + 1 : focusIndex;
+  for (let k = 0; k < words.length; k++) {
+    const pos = (start + k) % words.length;
+    if (words[pos].startsWith(prefix)) {
+      focusCard(pos);
+      return;
+    }
+  }
+}
+
+/* ---------- Arranging tiles ---------- */
+
+// Pixels a mouse or pen press must travel before it becomes a drag rather than a click
+const DRAG_THRESHOLD = 8;
+
+// How long a finger must rest on a card before it picks the card up (a quick swipe still scrolls)
+const TOUCH_HOLD_MS = 300;
+
+// The press or drag in progress: {id, card, from, to, x, y, touch, active, hold}
+let drag = null;
+
+// Time the last drag ended, so the click that follows it is ignored
+let lastDrop = 0;
+
+/**
+ * Move a card to another board position, then redraw, announce and save the new order
+ * @param {number} from - Board position of the card
+ * @param {number} to - Board position to move it to
+ */
+function arrangeTile(from, to) {
+  if (from === to) return;
+  if (!moveTile(state, from, to)) {
+    toast(t('toast.finished'));
+    return;
+  }
+  const {size} = puzzleShape(state.data);
+  focusIndex = to;
+  buildBoard();
+  announce(t('announce.moved', {word: gameWords(state)[state.order[to]], row: Math.floor(to / size) + 1, column: to % size + 1}));
+  saveSilently();
+}
+
+/**
+ * Move the selected cards to the top row of the board
+ */
+function arrangeSelected() {
+  if (!raiseSelection(state)) {
+    toast(t(state.locked ? 'toast.finished' : 'toast.selectFirst'));
+    return;
+  }
+  focusIndex = 0;
+  buildBoard();
+  announce(t('announce.raised', {count: state.selection.size}));
+  saveSilently();
+}
+
+/**
+ * Begin tracking a press on a card that may turn into a drag
+ * A mouse or pen drags once it moves; a finger has to rest on the card first
+ * @param {PointerEvent} e - pointerdown event on the card
+ * @param {number} pos - Board position of the card
+ */
+function startDrag(e, pos) {
+  if (state.locked || drag || e.button !== 0) return;
+  const card = e.currentTarget;
+  drag = {id: e.pointerId, card, from: pos, to: pos, x: e.clientX, y: e.clientY, touch: e.pointerType === 'touch', active: false, hold: null};
+  if (drag.touch) drag.hold = setTimeout(() => {
+    drag.active = true;
+    card.classList.add('dragging');
+  }, TOUCH_HOLD_MS);
+  if (card.setPointerCapture) card.setPointerCapture(e.pointerId);
+  card.onpointermove = moveDrag;
+  card.onpointerup = endDrag;
+  card.onpointercancel = endDrag;
+}
+
+/**
+ * Follow the pointer with the dragged card and highlight the card it would land on
+ * @param {PointerEvent} e - pointermove event
+ */
+function moveDrag(e) {
+  if (!drag || e.pointerId !== drag.id) return;
+  const dx = e.clientX - drag.x;
+  const dy = e.clientY - drag.y;
+  if (!drag.active) {
+    if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    // A finger that moves before picking the card up is scrolling the page
+    if (drag.touch) {
+      endDrag(e);
+      return;
+    }
+    drag.active = true;
+  }
+  drag.card.classList.add('dragging');
+  drag.card.style.transform = `translate(${dx}px, ${dy}px)`;
+  const cards = $$('#board .card');
+  const over = cards.findIndex(c => {
+    if (c === drag.card) return false;
+    const r = c.getBoundingClientRect();
+    return e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom;
+  });
+  drag.to = over === -1 ? drag.from : over;
+  cards.forEach((c, pos) => c.classList.toggle('drop-target', pos === over));
+}
+
+/**
+ * Keep a finger on a card from scrolling the page while it may pick the card up
+ * Small jitters while the hold is arming, and every move once the card is picked up, are kept
+ * from the browser (which would otherwise scroll and cancel the drag); a real swipe before the
+ * hold ends still scrolls
+ * @param {TouchEvent} e - touchmove event on the board
+ */
+function holdTouch(e) {
+  if (!drag || !drag.touch || !e.cancelable) return;
+  const touch = e.touches[0];
+  const still = touch && Math.hypot(touch.clientX - drag.x, touch.clientY - drag.y) < DRAG_THRESHOLD;
+  if (drag.active || still) e.preventDefault();
+}
+
+/**
+ * Drop the dragged card where it was last over, or just forget a press that never became a drag
+ * @param {PointerEvent} e - pointerup or pointercancel event
+ */
+function endDrag(e) {
+  if (!drag || e.pointerId !== drag.id) return;
+  const {card, from, to, active, hold} = drag;
+  clearTimeout(hold);
+  drag = null;
+  card.onpointermove = card.onpointerup = card.onpointercancel = null;
+  card.classList.remove('dragging');
+  card.style.transform = '';
+  $$('#board .card').forEach(c => c.classList.remove('drop-target'));
+  if (!active) return;
+  lastDrop = Date.now();
+  if (e.type === 'pointerup') arrangeTile(from, to);
+}
+
+/* ---------- Clock ---------- */
+
+// Interval id of the play clock while it runs (game screen visible, tab in front, game unfinished)
+let clockTimer = null;
+
+// Time of the last clock tick
+let clockTick = 0;
+
+/**
+ * Start counting play time for the current game if it should be running
+ */
+function startClock() {
+  if (clockTimer || !state.data || state.locked || document.hidden || $('#gameScreen').hidden) return;
+  clockTick = Date.now();
+  clockTimer = setInterval(tickClock, 250);
+}
+
+/**
+ * Stop counting play time, keeping the time played so far
+ */
+function stopClock() {
+  if (!clockTimer) return;
+  clearInterval(clockTimer);
+  clockTimer = null;
+  tickClock();
+  saveSilently();
+}
+
+/**
+ * Add the time since the last tick to the game and update the clock display
+ * Ends a timed game that runs out of time
+ */
+function tickClock() {
+  const now = Date.now();
+  const {expired} = tickGame(state, now - clockTick, now);
+  clockTick = now;
+  renderClock();
+  if (expired) {
+    clearInterval(clockTimer);
+    clockTimer = null;
+    toast(t('toast.timeUp'), 2500);
+    buildBoard();
+    updateCongratsDisplay();
+    saveSilently();
+  }
+}
+
+/**
+ * Show elapsed time, or the time left in timed mode, in the status row
+ */
+function renderClock() {
+  const left = timeLeft(state);
+  $('#timer').innerHTML = left === null
+    ? `⏱️ <b>${formatDuration(state.elapsed)}</b>`
+    : `⏳ <b>${formatDuration(left + 999)}</b>`;
+}
+
+/* ---------- Save format ---------- */
+
+/**
+ * Migrate every stored save to the current version in place
+ * Runs at startup and after importing a backup, so other readers only ever see current records
+ */
+function migrateAllSaves() {
+  loadAllSaves().forEach(({key, ...rec}) => {
+    if (rec.v === SAVE_VERSION) return;
+    const migrated = migrateSave(rec);
+    if (migrated) localStorage.setItem(key, JSON.stringify(migrated));
+  });
+}
+
+/**
+ * Save current game state to localStorage without user feedback
+ */
+function saveSilently() {
+  if (!state.key) return;
+  localStorage.setItem(state.key, JSON.stringify(serializeGame(state)));
+}
+
+/**
+ * Restore saved game state from localStorage if it exists
+ * Tells the player when the puzzle changed since the save and their progress was adjusted
+ */
+function restoreIfAny() {
+  if (!state.key) return;
+  try {
+    const raw = localStorage.getItem(state.key);
+    if (!raw) return;
+    const restored = restoreGame(state, JSON.parse(raw));
+    if (restored && restored.recovered) {
+      saveSilently();
+      toast(t('toast.updated'), 3000);
+    }
+  } catch(e) {}
+}
+
+/**
+ * Load a puzzle and initialize game state
+ * Starts a fresh engine game, then attempts to restore progress from localStorage
+ * @param {Object} json - Puzzle data with id and groups
+ * @param {string|null} key - LocalStorage key (defaults to storageKey()); null plays without saving
+ */
+function loadPuzzle(json, key) {
+  stopClock();
+  Object.assign(state, createGame(json, playerRules()), {timeLimit: newGameTimeLimit()});
+  state.key = key === undefined ? storageKey({id: state.id}) : key;
+  restoreIfAny();
+  buildBoard();
+}
+
+/**
+ * Reset the current puzzle to starting state
+ * Clears localStorage, resets all state, rebuilds board
+ */
+function resetPuzzle() {
+  if (!state.data) return;
+  stopClock();
+  if (state.key) localStorage.removeItem(state.key);
+  Object.assign(state, createGame(state.data, playerRules()), {id: state.id, timeLimit: newGameTimeLimit()});
+  buildBoard();
+  updateCongratsDisplay();
+  startClock();
+  toast(t('toast.reset'));
+}
+
+/* ---------- Puzzle packs ---------- */
+
+// Format identifier and newest version of the puzzle pack JSON this build understands
+const PACK_FORMAT = 'connections-pack';
+const PACK_VERSION = 1;
+
+/**
+ * Error raised when a puzzle pack cannot be fetched, parsed or validated
+ * @param {string} message - Summary shown as the error screen heading text
+ * @param {Array<string>} details - Individual problems found in the pack
+ */
+class PackError extends Error {
+  constructor(message, details=[]) {
+    super(message);
+    this.name = 'PackError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check a puzzle pack object against the documented pack format
+ * Collects every problem instead of stopping at the first so authors can fix them in one pass
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {Array<string>} Human-readable problems (empty when the pack is valid)
+ */
+function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['Pack must be a JSON object'];
+  }
+  if (pack.format !== PACK_FORMAT) {
+    errors.push(`"format" must be "${PACK_FORMAT}"`);
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1 || pack.version > PACK_VERSION) {
+    errors.push(`"version" must be an integer from 1 to ${PACK_VERSION}`);
+  }
+  if (typeof pack.id !== 'string' || !pack.id.trim()) {
+    errors.push('"id" must be a non-empty string');
+  }
+  if (pack.startDate !== undefined && parseDay(pack.startDate) === null) {
+    errors.push('"startDate" must be a date written YYYY-MM-DD');
+  }
+  if (pack.presentation !== undefined) {
+    errors.push(...validatePresentation(pack.presentation));
+  }
+  if (!Array.isArray(pack.puzzles) || pack.puzzles.length === 0) {
+    errors.push('"puzzles" must be a non-empty array');
+    return errors;
+  }
+
+  const ids = new Set();
+  pack.puzzles.forEach((p, i) => {
+    const where = `Puzzle ${i + 1}`;
+    if (!p || typeof p !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof p.id !== 'string' || !p.id.trim()) {
+      errors.push(`${where}: "id" must be a non-empty string`);
+    } else if (ids.has(p.id)) {
+      errors.push(`${where}: duplicate id "${p.id}"`);
+    } else {
+      ids.add(p.id);
+    }
+    ['title', 'collection'].forEach(k => {
+      if (p[k] !== undefined && (typeof p[k] !== 'string' || !p[k].trim())) {
+        errors.push(`${where}: "${k}" must be a non-empty string`);
+      }
+    });
+    if (p.tags !== undefined && (!Array.isArray(p.tags) || !p.tags.every(tag => typeof tag === 'string' && tag.trim()))) {
+      errors.push(`${where}: "tags" must be an array of non-empty strings`);
+    }
+    if (p.difficulty !== undefined && !DIFFICULTIES.includes(p.difficulty)) {
+      errors.push(`${where}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (p.rules !== undefined) {
+      if (!p.rules || typeof p.rules !== 'object' || Array.isArray(p.rules)) {
+        errors.push(`${where}: "rules" must be an object`);
+      } else {
+        Object.keys(p.rules).forEach(k => {
+          if (!(k in DEFAULT_RULES)) {
+            errors.push(`${where}: unknown rule "${k}" (use ${Object.keys(DEFAULT_RULES).join(', ')})`);
+          } else if (!(k in normalizeRules(p.rules))) {
+            errors.push(`${where}: rule "${k}" must be ${k === 'maxMistakes' ? 'a positive whole number or null' : 'true or false'}`);
+          }
+        });
+      }
+    }
+    const {groups: groupLimits, size: sizeLimits} = SHAPE_LIMITS;
+    if (!Array.isArray(p.groups) || p.groups.length < groupLimits.min || p.groups.length > groupLimits.max) {
+      errors.push(`${where}: must have ${groupLimits.min} to ${groupLimits.max} groups`);
+      return;
+    }
+    const size = p.groups[0] && Array.isArray(p.groups[0].words) ? p.groups[0].words.length : 0;
+    p.groups.forEach((g, j) => {
+      const gw = `${where}, group ${j + 1}`;
+      if (!g || typeof g !== 'object') {
+        errors.push(`${gw}: must be an object`);
+        return;
+      }
+      if (typeof g.category !== 'string' || !g.category.trim()) {
+        errors.push(`${gw}: "category" must be a non-empty string`);
+      }
+      groupDetailProblems(g).forEach(problem => errors.push(`${gw}: ${problem}`));
+      if (!COLOR_MAP[g.color] && !COLOR_REVERSE[g.color]) {
+        errors.push(`${gw}: unknown color "${g.color}" (use ${Object.keys(COLOR_MAP).join(', ')})`);
+      }
+      if (!Array.isArray(g.words) || g.words.length < sizeLimits.min || g.words.length > sizeLimits.max) {
+        errors.push(`${gw}: must have ${sizeLimits.min} to ${sizeLimits.max} words`);
+        return;
+      }
+      if (g.words.length !== size) errors.push(`${gw}: must have as many words as group 1 (${size})`);
+      // A word may appear in two groups (each copy is its own tile), but not twice in one
+      const seen = new Set();
+      g.words.forEach(w => {
+        if (typeof w !== 'string' || !w.trim()) {
+          errors.push(`${gw}: words must be non-empty strings`);
+          return;
+        }
+        const word = w.toUpperCase();
+        if (COPY_SUFFIX.test(word.trim())) errors.push(`${gw}: "${word}" may not end in # and a number (kept for repeated words)`);
+        if (seen.has(word)) errors.push(`${gw}: "${word}" appears more than once`);
+        seen.add(word);
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * Parse and validate puzzle pack JSON text
+ * @param {string} text - Raw JSON text
+ * @param {string} source - Where the text came from, used in error messages
+ * @returns {Object} Validated pack with normalized puzzles
+ * @throws {PackError} If the text is not JSON or the pack is malformed
+ */
+function parsePack(text, source='pack') {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch(e) {
+    throw new PackError(t('error.notJson', {source}), [e.message]);
+  }
+  const errors = validatePack(pack);
+  if (errors.length) {
+    throw new PackError(t('error.notPack', {source}), errors);
+  }
+  pack.puzzles.forEach(normalizePuzzle);
+  return pack;
+}
+
+/**
+ * Fetch a puzzle pack from a URL, resolved relative to the current page
+ * @param {string} url - Relative or absolute pack URL
+ * @returns {Promise<Object>} Validated pack
+ * @throws {PackError} If the request fails or the pack is malformed
+ */
+async function fetchPack(url) {
+  let res;
+  try {
+    res = await fetch(new URL(url, location.href));
+  } catch(e) {
+    throw new PackError(t('error.download', {url}), [e.message]);
+  }
+  if (!res.ok) {
+    throw new PackError(t('error.download', {url}), [`HTTP ${res.status} ${res.statusText}`.trim()]);
+  }
+  return parsePack(await res.text(), url);
+}
+
+/**
+ * Read a puzzle pack from a user-picked local file
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Object>} Validated pack
+ * @throws {PackError} If the file is malformed
+ */
+async function readPackFile(file) {
+  return parsePack(await file.text(), file.name);
+}
+
+/**
+ * Make a pack the active one so the home grid lists its puzzles and the page uses its title
+ * @param {Object} pack - Validated pack
+ */
+function usePack(pack) {
+  currentPack = pack;
+  allPuzzles = pack.puzzles;
+  currentIndex = 0;
+  loadedRoute = null;
+  document.title = presentationText('title');
+}
+
+/**
+ * Load the pack named by ?pack= (or the page's data-pack attribute), falling back to DEFAULT_PACK
+ * Then shows the screen for the current URL, or the pack error screen if the pack cannot be loaded
+ */
+async function loadInitialPack() {
+  const url = new URLSearchParams(location.search).get('pack') || document.body.dataset.pack;
+  if (!url) {
+    usePack(DEFAULT_PACK);
+    route();
+    return;
+  }
+  try {
+    usePack(await fetchPack(url));
+    route();
+  } catch(e) {
+    usePack(DEFAULT_PACK);
+    showPackError(e);
+  }
+}
+
+/**
+ * Open the pack chosen in the file picker and go to its puzzle selector
+ * @param {Event} e - Change event from the #packFile input
+ */
+async function onPackFileChosen(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    usePack(await readPackFile(file));
+    navigate('#/puzzles');
+    toast(t('toast.packLoaded', {name: currentPack.title || file.name}));
+  } catch(err) {
+    showPackError(err);
+  }
+}
+
+/**
+ * Return to the embedded default pack from the error screen
+ * Drops ?pack= from the address bar so a refresh does not retry the broken pack
+ */
+function useDefaultPack() {
+  const url = new URL(location.href);
+  if (url.searchParams.has('pack')) {
+    url.searchParams.delete('pack');
+    history.replaceState(null, '', url);
+  }
+  usePack(DEFAULT_PACK);
+  navigate('#/puzzles');
+}
+
+/* ---------- Puzzle authoring ---------- */
+
+// LocalStorage key for the pack being edited on the Create screen (outside STORAGE_PREFIX)
+const DRAFT_KEY = 'connections.draft';
+
+// Pack being edited on the Create screen and the index of the puzzle shown in the form
+let draft = null;
+let draftIndex = 0;
+
+/**
+ * Create an empty draft puzzle with colors pre-assigned in difficulty order
+ * @param {number} n - 1-based position of the puzzle in the draft, used for its default id
+ * @param {Object} shape - {groups, size} (defaults to the classic 4×4)
+ * @returns {Object} Draft puzzle with blank categories and words
+ */
+function emptyDraftPuzzle(n, shape={groups: 4, size: 4}) {
+  return {
+    id: `Puzzle ${n}`,
+    groups: COLOR_ORDER.slice(0, shape.groups).map(color => ({category: '', color, words: new Array(shape.size).fill('')}))
+  };
+}
+
+/**
+ * Change a draft puzzle's shape in place: extra groups get the next unused color, and words
+ * beyond the new size are dropped
+ * @param {Object} p - Draft puzzle
+ * @param {Object} shape - {groups, size}
+ */
+function resizeDraftPuzzle(p, shape) {
+  p.groups = p.groups.slice(0, shape.groups);
+  while (p.groups.length < shape.groups) {
+    const color = COLOR_ORDER.find(c => !p.groups.some(g => g.color === c)) || '';
+    p.groups.push({category: '', color, words: []});
+  }
+  p.groups.forEach(g => {
+    g.words = g.words.slice(0, shape.size);
+    while (g.words.length < shape.size) g.words.push('');
+  });
+}
+
+/**
+ * Load the draft pack from localStorage, or start a new one
+ * @returns {Object} Draft pack with title and puzzles
+ */
+function loadDraft() {
+  try {
+    const d = JSON.parse(localStorage.getItem(DRAFT_KEY));
+    if (d && Array.isArray(d.puzzles) && d.puzzles.length) return d;
+  } catch(e) {}
+  return {title: 'My Connections', puzzles: [emptyDraftPuzzle(1)]};
+}
+
+/**
+ * Persist the draft pack so unfinished puzzles survive a reload
+ */
+function saveDraft() {
+  localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+}
+
+/**
+ * Check one draft puzzle for problems the editor can point at field by field
+ * Errors block play-testing and export; warnings are shown but allowed. Messages are in the
+ * interface language
+ * @param {Object} p - Draft puzzle with id and groups
+ * @param {Array<Object>} others - The other puzzles in the draft, for duplicate id checks
+ * @returns {Array<Object>} Issues as {level: 'error'|'warning', message, fields: ['g0.category', 'g1.w2', ...]}
+ */
+function lintDraftPuzzle(p, others=[]) {
+  const issues = [];
+  const add = (level, message, fields=[]) => issues.push({level, message, fields});
+
+  if (!String(p.id || '').trim()) add('error', t('lint.noId'), ['id']);
+  else if (others.some(o => o !== p && String(o.id).trim() === String(p.id).trim())) {
+    add('error', t('lint.duplicateId', {id: p.id}), ['id']);
+  }
+
+  const colorUse = {};
+  const wordUse = {};
+  p.groups.forEach((g, gi) => {
+    const n = gi + 1;
+    if (!String(g.category || '').trim()) add('error', t('lint.noCategory', {number: n}), [`g${gi}.category`]);
+    if (!g.color) add('error', t('lint.noColor', {number: n}), [`g${gi}.color`]);
+    else (colorUse[g.color] = colorUse[g.color] || []).push(`g${gi}.color`);
+    g.words.forEach((w, wi) => {
+      const word = String(w || '').trim().toUpperCase();
+      const field = `g${gi}.w${wi}`;
+      if (!word) {
+        add('error', t('lint.emptyWord', {number: n, position: wi + 1}), [field]);
+        return;
+      }
+      if (COPY_SUFFIX.test(word)) add('error', t('lint.copySuffix', {word}), [field]);
+      (wordUse[word] = wordUse[word] || []).push({gi, field});
+      const size = parseInt(calculateFontSize(word), 10);
+      if (size < MIN_TILE_FONT_PX) {
+        add('warning', t('lint.tooLong', {word, size}), [field]);
+      }
+    });
+  });
+  Object.entries(wordUse).forEach(([word, uses]) => {
+    if (uses.length < 2) return;
+    const fields = uses.map(u => u.field);
+    const groups = new Set(uses.map(u => u.gi)).size;
+    if (groups < uses.length) add('error', t('lint.repeated', {word}), fields);
+    else add('warning', t('lint.shared', {word, count: groups}), fields);
+  });
+  Object.entries(colorUse).forEach(([color, fields]) => {
+    if (fields.length < 2) return;
+    add('warning', t('lint.colorReused', {emoji: COLOR_EMOJI[color] || '', color: t(`color.${color}`), count: fields.length}).trim(), fields);
+  });
+  return issues;
+}
+
+/**
+ * Title, collection, tags and difficulty of a draft puzzle as pack fields, leaving out empty ones
+ * Tags are typed into the editor separated by commas
+ * @param {Object} p - Draft puzzle
+ * @returns {Object} Pack fields to spread into the puzzle
+ */
+function libraryFields(p) {
+  const text = key => String(p[key] || '').trim();
+  const tags = [...new Set(String(p.tags || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+  return {
+    ...(text('title') && {title: text('title')}),
+    ...(text('collection') && {collection: text('collection')}),
+    ...(tags.length && {tags}),
+    ...(DIFFICULTIES.includes(p.difficulty) && {difficulty: p.difficulty})
+  };
+}
+
+/**
+ * Convert the draft into a pack in the documented pack format
+ * Trims and uppercases words so the export matches what players will see
+ * @param {Object} d - Draft pack
+ * @returns {Object} Puzzle pack ready for validatePack()/export
+ */
+function draftToPack(d) {
+  const title = String(d.title || '').trim() || 'My Connections';
+  const id = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    id,
+    title,
+    ...(d.startDate && {startDate: d.startDate}),
+    ...(d.presentation && {presentation: d.presentation}),
+    puzzles: d.puzzles.map(p => ({
+      id: String(p.id).trim(),
+      ...libraryFields(p),
+      ...(p.rules && {rules: p.rules}),
+      groups: p.groups.map(g => {
+        const words = g.words.map(w => String(w).trim().toUpperCase());
+        const explanation = String(g.explanation || '').trim();
+        // Notes come from imported packs; drop those whose word has since been edited away
+        const notes = Object.entries(g.notes || {}).filter(([w]) => words.includes(w.toUpperCase()));
+        return {
+          category: String(g.category).trim(),
+          color: g.color,
+          words,
+          ...(explanation && {explanation}),
+          ...(notes.length && {notes: Object.fromEntries(notes)})
+        };
+      })
+    }))
+  };
+}
+
+/**
+ * Convert a loaded (normalized) pack back into an editable draft
+ * @param {Object} pack - Validated pack
+ * @returns {Object} Draft pack using color names
+ */
+function packToDraft(pack) {
+  return {
+    title: pack.title || pack.id,
+    ...(pack.startDate && {startDate: pack.startDate}),
+    ...(pack.presentation && {presentation: pack.presentation}),
+    puzzles: pack.puzzles.map(p => ({
+      id: p.id,
+      ...['title', 'collection', 'difficulty'].reduce((o, k) => p[k] ? {...o, [k]: p[k]} : o, {}),
+      ...(p.tags && p.tags.length && {tags: p.tags.join(', ')}),
+      ...(p.rules && {rules: {...p.rules}}),
+      groups: p.groups.map(g => ({
+        category: g.category,
+        color: g.colorName || COLOR_REVERSE[g.color] || g.color,
+        words: [...g.words],
+        ...(g.explanation && {explanation: g.explanation}),
+        ...(g.notes && {notes: {...g.notes}})
+      }))
+    }))
+  };
+}
+
+/**
+ * Build the group form on the Create screen for the shape of the puzzle being edited
+ * (again when the language or the shape changes, see applyLocale())
+ * Each input carries a data-field matching the field names used by lintDraftPuzzle()
+ */
+function buildCreateForm() {
+  const wrap = $('#draftGroups');
+  const shape = puzzleShape(draft.puzzles[draftIndex]);
+  const key = `${shape.groups}x${shape.size}`;
+  if (wrap.children.length && wrap.dataset.shape === key) return;
+  wrap.innerHTML = '';
+  wrap.dataset.shape = key;
+  const range = ({min, max}) => Array.from({length: max - min + 1}, (_, k) => `<option>${min + k}</option>`).join('');
+  $('#draftGroupCount').innerHTML = range(SHAPE_LIMITS.groups);
+  $('#draftGroupSize').innerHTML = range(SHAPE_LIMITS.size);
+  const colorOptions = [`<option value="">${t('create.noColor')}</option>`]
+    .concat(COLOR_ORDER.map(c => `<option value="${c}">${COLOR_EMOJI[c]} ${t(`color.${c}`)}</option>`))
+    .join('');
+  const words = [...Array(shape.size).keys()];
+  for (let gi = 0; gi < shape.groups; gi++) {
+    const fs = document.createElement('fieldset');
+    fs.className = 'draft-group';
+    const number = gi + 1;
+    fs.innerHTML = `<legend>${t('create.group', {number})}</legend>
+      <div class="draft-row">
+        <input data-field="g${gi}.category" placeholder="${t('create.category')}" aria-label="${t('create.groupCategory', {number})}" />
+        <select data-field="g${gi}.color" aria-label="${t('create.groupColor', {number})}">${colorOptions}</select>
+      </div>
+      <div class="draft-words" style="--cols:${shape.size}">
+        ${words.map(wi => `<input data-field="g${gi}.w${wi}" placeholder="${t('create.word', {number: wi + 1})}" aria-label="${t('create.groupWord', {number, word: wi + 1})}" />`).join('')}
+      </div>
+      <input data-field="g${gi}.explanation" placeholder="${t('create.explanation')}" aria-label="${t('create.groupExplanation', {number})}" />`;
+    wrap.appendChild(fs);
+  }
+}
+
+/**
+ * Fill the Create screen form from the draft and refresh the validation list
+ */
+function renderCreate() {
+  const p = draft.puzzles[draftIndex];
+  buildCreateForm();
+  const shape = puzzleShape(p);
+  $('#draftGroupCount').value = String(shape.groups);
+  $('#draftGroupSize').value = String(shape.size);
+  $('#draftTitle').value = draft.title || '';
+  $('#draftPuzzle').innerHTML = draft.puzzles
+    .map((q, i) => `<option value="${i}">${escapeHtml(q.id || t('create.untitled', {number: i + 1}))}</option>`).join('');
+  $('#draftPuzzle').value = String(draftIndex);
+  $('#draftDeleteBtn').disabled = draft.puzzles.length < 2;
+  $('#draftDifficulty').innerHTML = [`<option value="">${t('create.noDifficulty')}</option>`]
+    .concat(DIFFICULTIES.map(d => `<option value="${d}">${difficultyDots(d)} ${t(`difficulty.${d}`)}</option>`))
+    .join('');
+  $$('#createScreen [data-field]').forEach(el => {
+    const field = el.dataset.field;
+    const group = field.match(/^g(\d)\.(.+)$/);
+    if (!group) {
+      el.value = p[field] || '';
+      return;
+    }
+    const [, gi, key] = group;
+    const g = p.groups[gi];
+    el.value = (key.startsWith('w') ? g.words[key.slice(1)] : g[key]) || '';
+    if (key === 'color') el.closest('fieldset').style.borderLeftColor = COLOR_MAP[g.color] || '#43699e';
+  });
+  renderDraftIssues();
+}
+
+/**
+ * Run lintDraftPuzzle() on the puzzle in the form, list the issues and mark the offending inputs
+ * @returns {Array<Object>} The issues found
+ */
+function renderDraftIssues() {
+  const p = draft.puzzles[draftIndex];
+  const issues = lintDraftPuzzle(p, draft.puzzles);
+  const marked = {};
+  issues.forEach(issue => issue.fields.forEach(f => {
+    if (marked[f] !== 'error') marked[f] = issue.level;
+  }));
+  $$('#createScreen [data-field]').forEach(el => {
+    el.classList.toggle('invalid', marked[el.dataset.field] === 'error');
+    el.classList.toggle('warn', marked[el.dataset.field] === 'warning');
+  });
+  $('#draftIssues').innerHTML = issues.length
+    ? issues.map(i => `<li class="${i.level}">${i.level === 'error' ? '⛔' : '⚠️'} ${escapeHtml(i.message)}</li>`).join('')
+    : `<li class="ok">${t('create.ready')}</li>`;
+  return issues;
+}
+
+/**
+ * Show the puzzle authoring screen
+ */
+function showCreate() {
+  if (!draft) draft = loadDraft();
+  draftIndex = Math.min(draftIndex, draft.puzzles.length - 1);
+  playMode = 'pack';
+  showScreen('createScreen');
+  $('#homeBtn').disabled = false;
+  $('#homeBtn').textContent = t('nav.puzzles');
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#logo').textContent = t('logo.create');
+  renderCreate();
+}
+
+/**
+ * Copy an edited form field into the draft, save it and re-validate
+ * @param {Event} e - Input/change event from within the Create screen
+ */
+function onDraftInput(e) {
+  const field = e.target.dataset.field;
+  if (!field) return;
+  const p = draft.puzzles[draftIndex];
+  const group = field.match(/^g(\d)\.(.+)$/);
+  if (!group) {
+    p[field] = e.target.value;
+  } else {
+    const [, gi, key] = group;
+    const g = p.groups[gi];
+    if (key.startsWith('w')) g.words[key.slice(1)] = e.target.value;
+    else g[key] = e.target.value;
+    if (key === 'color') e.target.closest('fieldset').style.borderLeftColor = COLOR_MAP[g.color] || '#43699e';
+  }
+  saveDraft();
+  renderDraftIssues();
+  if (field === 'id') $('#draftPuzzle').options[draftIndex].textContent = p.id;
+}
+
+/**
+ * Resize the puzzle in the form after a change to the group count or size pickers,
+ * asking first if that would drop anything already filled in
+ */
+function onDraftShape() {
+  const p = draft.puzzles[draftIndex];
+  const shape = {groups: Number($('#draftGroupCount').value), size: Number($('#draftGroupSize').value)};
+  const dropped = p.groups.slice(shape.groups).some(g => g.category.trim() || g.words.some(w => w.trim()))
+    || p.groups.some(g => g.words.slice(shape.size).some(w => w.trim()));
+  if (dropped && !confirm(t('create.confirmShape'))) {
+    renderCreate();
+    return;
+  }
+  resizeDraftPuzzle(p, shape);
+  saveDraft();
+  renderCreate();
+}
+
+/**
+ * Add a blank puzzle, shaped like the one in the form, to the draft and switch the form to it
+ */
+function addDraftPuzzle() {
+  draft.puzzles.push(emptyDraftPuzzle(draft.puzzles.length + 1, puzzleShape(draft.puzzles[draftIndex])));
+  draftIndex = draft.puzzles.length - 1;
+  saveDraft();
+  renderCreate();
+}
+
+/**
+ * Remove the puzzle shown in the form from the draft (the last puzzle cannot be removed)
+ */
+function deleteDraftPuzzle() {
+  if (draft.puzzles.length < 2) return;
+  if (!confirm(t('create.confirmDelete', {id: draft.puzzles[draftIndex].id}))) return;
+  draft.puzzles.splice(draftIndex, 1);
+  draftIndex = Math.max(0, draftIndex - 1);
+  saveDraft();
+  renderCreate();
+}
+
+/**
+ * Play the puzzle in the form through the normal game screen without saving progress
+ */
+function playtestDraft() {
+  if (renderDraftIssues().some(i => i.level === 'error')) {
+    toast(t('create.fixFirst'));
+    return;
+  }
+  loadedRoute = null;
+  navigate(`#/create/play/${draftIndex + 1}`);
+}
+
+/**
+ * Load a draft puzzle for play-testing unless it is already the loaded game
+ * @param {number} i - Index of the puzzle in the draft
+ * @returns {boolean} False if the puzzle does not exist or still has errors
+ */
+function openDraftPuzzle(i) {
+  if (!draft) draft = loadDraft();
+  const p = draft.puzzles[i];
+  if (!p || lintDraftPuzzle(p, draft.puzzles).some(issue => issue.level === 'error')) return false;
+  const hash = `#/create/play/${i + 1}`;
+  if (loadedRoute !== hash) {
+    draftIndex = i;
+    loadPuzzle(draftToPack(draft).puzzles[i], null);
+    loadedRoute = hash;
+  }
+  playMode = 'playtest';
+  return true;
+}
+
+/**
+ * Trigger a browser download of a JSON document
+ * @param {string} filename - Suggested file name
+ * @param {Object} obj - Value to serialize
+ */
+function downloadJson(filename, obj) {
+  downloadBlob(filename, new Blob([JSON.stringify(obj, null, 2) + '\n'], {type: 'application/json'}));
+}
+
+/**
+ * Trigger a browser download of a file's contents
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+function downloadBlob(filename, blob) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Export the whole draft as a pack file, refusing if any puzzle still has errors
+ */
+function exportDraft() {
+  const bad = draft.puzzles.findIndex(p => lintDraftPuzzle(p, draft.puzzles).some(i => i.level === 'error'));
+  if (bad !== -1) {
+    draftIndex = bad;
+    renderCreate();
+    toast(t('create.fixIn', {id: draft.puzzles[bad].id || t('create.untitled', {number: bad + 1})}));
+    return;
+  }
+  const pack = draftToPack(draft);
+  downloadJson(`${pack.id}.json`, pack);
+  toast(t('create.exported'));
+}
+
+/**
+ * Replace the draft with a pack file picked by the user
+ * @param {Event} e - Change event from the #draftFile input
+ */
+async function importDraft(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    draft = packToDraft(await readPackFile(file));
+    draftIndex = 0;
+    saveDraft();
+    renderCreate();
+    toast(t('create.imported', {title: draft.title}));
+  } catch(err) {
+    toast(err.details && err.details.length ? `${err.message}: ${err.details[0]}` : err.message, 4000);
+  }
+}
+
+/**
+ * Discard the draft and start a new pack
+ */
+function newDraft() {
+  if (!confirm(t('create.confirmNew'))) return;
+  localStorage.removeItem(DRAFT_KEY);
+  draft = loadDraft();
+  draftIndex = 0;
+  renderCreate();
+}
+
+/* ---------- Shared puzzle links ---------- */
+
+// URL fragment prefix for a single puzzle encoded into a link
+const SHARE_ROUTE = '#/s/';
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  let bin = '';
+  bytes.forEach(b => bin += String.fromCharCode(b));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 (with or without padding)
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes - Input data
+ * @param {TransformStream} stream - Stream to pipe through
+ * @returns {Promise<Uint8Array>} Transformed data
+ */
+async function pipeBytes(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+/**
+ * Serialize a puzzle into the code used in shared links
+ * The first character records the encoding: 'z' for deflate-compressed JSON, 'j' for plain JSON
+ * (used when the browser has no CompressionStream, or one without 'deflate-raw')
+ * @param {Object} p - Puzzle to share
+ * @returns {Promise<string>} Link code
+ */
+async function encodePuzzle(p) {
+  const bytes = new TextEncoder().encode(JSON.stringify(sharePayload(p)));
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      return 'z' + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+    } catch(e) {}
+  }
+  return 'j' + toBase64Url(bytes);
+}
+
+/**
+ * Decode and validate a shared link code
+ * @param {string} code - Code produced by encodePuzzle()
+ * @returns {Promise<Object>} Normalized puzzle
+ * @throws {PackError} If the code is damaged or the puzzle is malformed
+ */
+async function decodePuzzle(code) {
+  const broken = t('error.brokenLink');
+  let puzzle;
+  try {
+    let bytes = fromBase64Url(code.slice(1));
+    if (code[0] === 'z') {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new PackError(t('error.noDecompress'));
+      }
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (code[0] !== 'j') {
+      throw new Error(`unknown encoding "${code[0] || ''}"`);
+    }
+    puzzle = JSON.parse(new TextDecoder().decode(bytes));
+  } catch(e) {
+    if (e instanceof PackError) throw e;
+    throw new PackError(broken, [e.message]);
+  }
+  const errors = validatePack({format: PACK_FORMAT, version: PACK_VERSION, id: 'shared', puzzles: [puzzle]});
+  if (errors.length) throw new PackError(broken, errors);
+  return normalizePuzzle(puzzle);
+}
+
+/**
+ * Build the full shareable URL for a puzzle
+ * Keeps ?pack= out of the link since the puzzle travels inside the fragment
+ * @param {Object} p - Puzzle to share
+ * @returns {Promise<string>} Absolute URL
+ */
+async function shareUrl(p) {
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = SHARE_ROUTE + await encodePuzzle(p);
+  return url.href;
+}
+
+/**
+ * LocalStorage key for a shared puzzle, derived from its content so it never collides with pack progress
+ * @param {Object} p - Puzzle object
+ * @returns {string} LocalStorage key
+ */
+function sharedStorageKey(p) {
+  return `${STORAGE_PREFIX}shared/${hashString(JSON.stringify(sharePayload(p)))}`;
+}
+
+/**
+ * Load the puzzle encoded in a shared link unless it is already the loaded game
+ * Shows the pack error screen if the link is broken
+ * @param {string} code - Link code from after SHARE_ROUTE
+ * @returns {Promise<boolean>} False if the link could not be decoded
+ */
+async function openSharedPuzzle(code) {
+  const hash = SHARE_ROUTE + code;
+  if (loadedRoute !== hash) {
+    try {
+      const puzzle = await decodePuzzle(code);
+      loadPuzzle(puzzle, sharedStorageKey(puzzle));
+      loadedRoute = hash;
+    } catch(e) {
+      showPackError(e);
+      return false;
+    }
+  }
+  playMode = 'shared';
+  return true;
+}
+
+/**
+ * Copy text with a hidden textarea and the legacy copy command
+ * Works where the Clipboard API is missing or refused (e.g. the page opened from a file, or an
+ * installed app whose permission prompt cannot be shown)
+ * @param {string} text - Text to copy
+ * @returns {boolean} True if the browser reports the copy succeeded
+ */
+function legacyCopy(text) {
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  let ok = false;
+  try {
+    ok = typeof document.execCommand === 'function' && document.execCommand('copy');
+  } catch(e) {}
+  area.remove();
+  return ok;
+}
+
+/**
+ * Copy text to the clipboard with a toast confirming success or failure
+ * Falls back to legacyCopy() when the Clipboard API is unavailable or fails
+ * @param {string} text - Text to copy
+ * @param {string} message - Toast shown on success
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+async function copyText(text, message) {
+  let ok = false;
+  try {
+    await navigator.clipboard.writeText(text);
+    ok = true;
+  } catch(e) {
+    ok = legacyCopy(text);
+  }
+  toast(ok ? message : t('toast.copyFailed'));
+  return ok;
+}
+
+/**
+ * Copy a shareable link for the puzzle currently on the game/results screen
+ */
+async function shareCurrentPuzzle() {
+  if (!state.data) return;
+  copyText(await shareUrl(state.data), t('toast.linkCopied'));
+}
+
+/**
+ * Copy a shareable link for the draft puzzle shown on the Create screen
+ */
+async function shareDraftPuzzle() {
+  if (renderDraftIssues().some(i => i.level === 'error')) {
+    toast(t('create.fixFirst'));
+    return;
+  }
+  copyText(await shareUrl(draftToPack(draft).puzzles[draftIndex]), t('toast.linkCopied'));
+}
+
+/* ---------- Results ---------- */
+
+// Size and colors of the shareable results image, in canvas pixels
+const RESULTS_CARD = {width: 600, pad: 40, cell: 56, gap: 8, bg: '#0b0f14', text: '#e8eef6', muted: '#97a6ba'};
+
+/**
+ * The colors of each guess for the results grid, image and share text
+ * Groups colors and sorts by frequency for cleaner visualization, unless the keep tile order
+ * setting asks for the order the words were picked in
+ * @returns {Array<Object>} One {colors: [color names], outOfOrder, hinted} per guess; hinted marks
+ *   guesses made after using a hint, outOfOrder hard-mode groups guessed out of order
+ */
+function resultGuesses() {
+  let hintsBefore = 0;
+  return state.guesses.map(guess => {
+    const picked = guess.colors.map(guessColorName);
+    const colorCounts = {};
+    picked.forEach(c => colorCounts[c] = (colorCounts[c] || 0) + 1);
+    const sortedColors = Object.entries(colorCounts).sort((a, b) => b[1] - a[1]);
+    const hinted = (guess.hints || 0) > hintsBefore;
+    hintsBefore = guess.hints || 0;
+    return {
+      colors: settings.keepTileOrder ? picked : sortedColors.flatMap(([color, count]) => new Array(count).fill(color)),
+      outOfOrder: !!guess.outOfOrder,
+      hinted
+    };
+  });
+}
+
+/**
+ * Emoji rows for the results grid and share text, one per guess
+ * Rows for guesses made after using a hint end with 💡, and hard-mode groups guessed out of order end with 🔒
+ * @returns {Array<string>} One line per guess
+ */
+function resultRows() {
+  return resultGuesses().map(g =>
+    g.colors.map(c => COLOR_EMOJI[c] || '⬜').join('') + (g.outOfOrder ? ' 🔒' : '') + (g.hinted ? ' 💡' : ''));
+}
+
+/**
+ * Render the results screen with colored emoji grid representing all guesses
+ */
+function renderResults() {
+  const grid = $('#resultsGrid');
+  grid.innerHTML = '';
+  if (!state.guesses || state.guesses.length === 0) {
+    grid.innerHTML = `<p style="color:var(--muted)">${t('results.none')}</p>`;
+    return;
+  }
+  resultRows().forEach(text => {
+    const row = document.createElement('div');
+    row.className = 'results-row';
+    row.textContent = text;
+    grid.appendChild(row);
+  });
+  if (state.hints.length) {
+    const note = document.createElement('p');
+    note.className = 'results-note';
+    note.textContent = t('results.hintsUsed', {count: state.hints.length});
+    grid.appendChild(note);
+  }
+  if (rulesSummary(state.rules)) {
+    const note = document.createElement('p');
+    note.className = 'results-note';
+    note.textContent = t('results.rules', {rules: rulesSummary(state.rules)});
+    grid.appendChild(note);
+  }
+}
+
+// Most confused words listed under the guess details
+const CONFUSED_SHOWN = 5;
+
+/**
+ * Show or hide the detailed guess history
+ */
+function toggleHistory() {
+  const panel = $('#guessHistory');
+  if (panel.hidden) renderHistory();
+  panel.hidden = !panel.hidden;
+  $('#historyBtn').setAttribute('aria-expanded', String(!panel.hidden));
+}
+
+/**
+ * Fill the guess details panel: every guess with its words in the order they were picked, each
+ * marked with its group's color, the outcome, and the words most often put in the wrong group
+ */
+function renderHistory() {
+  const chip = (word, color) =>
+    `<span class="history-word" style="border-color:${COLOR_MAP[color] || '#43699e'}">${COLOR_EMOJI[color] || '⬜'} ${escapeHtml(word)}</span>`;
+  const guesses = guessHistory(state.data, state.guesses).map(g => {
+    const outcome = g.correct ? 'correct' : g.outOfOrder ? 'outOfOrder' : g.oneAway ? 'oneAway' : 'wrong';
+    return `<li><span class="history-outcome">${t(`history.${outcome}`)}</span> ${g.words.map((w, k) => chip(w, g.colors[k])).join(' ')}</li>`;
+  });
+  const confused = confusedWords(state.guesses).slice(0, CONFUSED_SHOWN);
+  const summary = confused.length
+    ? `<ul class="history-confused">${confused.map(c => `<li>${chip(c.word, c.color)} ${t('history.misplaced', {count: c.count})}</li>`).join('')}</ul>`
+    : `<p class="results-note">${t('history.noConfusion')}</p>`;
+  $('#guessHistory').innerHTML = `<h2>${t('history.heading')}</h2>
+    <ol class="history-list">${guesses.join('')}</ol>
+    <h3>${t('history.confused')}</h3>
+    ${summary}`;
+}
+
+/**
+ * Show or hide the "Learn more" panel of group explanations and word notes
+ */
+function toggleLearnMore() {
+  const panel = $('#learnMore');
+  if (panel.hidden) renderLearnMore();
+  panel.hidden = !panel.hidden;
+  $('#learnMoreBtn').setAttribute('aria-expanded', String(!panel.hidden));
+}
+
+/**
+ * Fill the "Learn more" panel: every group in the order it was solved or revealed, with its words
+ * and whatever the puzzle says about them
+ */
+function renderLearnMore() {
+  $('#learnMore').innerHTML = `<h2>${t('results.learnMoreHeading')}</h2>` + state.found.map(g => {
+    const details = groupDetails(state.data, g);
+    return `<section class="learn-group" style="border-left-color:${escapeHtml(g.color)}">
+      <h3>${escapeHtml(g.category)}</h3>
+      <p class="words">${escapeHtml(g.words.join(' · '))}</p>
+      ${details ? detailsHtml(details) : ''}
+    </section>`;
+  }).join('');
+}
+
+/**
+ * Summary lines heading the shared results: puzzle number (and release date), status, mistakes,
+ * rules, time and hints, worded and formatted in the interface language
+ * @returns {Array<string>} Lines, the title first
+ */
+function resultsSummary() {
+  const puzzleNum = currentIndex + 1;
+  const day = releaseDate(currentIndex);
+  const lines = [{
+    playtest: t('share.playtest'),
+    shared: t('share.shared', {id: state.id})
+  }[playMode] || (day ? `${presentationText('shareHeader')} #${puzzleNum} · ${formatDate(day)}` : `${presentationText('shareHeader')} #${puzzleNum}`)];
+  if (state.locked && !state.failed) {
+    lines.push(t('share.solved'));
+  } else if (state.timedOut) {
+    lines.push(t('share.timedOut'));
+  } else if (state.locked) {
+    lines.push(t('share.failed'));
+  }
+  lines.push(t('share.mistakes', {mistakes: mistakesLabel(state.mistakes, state.rules)}));
+  if (rulesSummary(state.rules)) lines.push(t('share.rules', {rules: rulesSummary(state.rules)}));
+  lines.push(state.timeLimit === null
+    ? t('share.time', {time: formatDuration(state.elapsed)})
+    : t('share.timeOf', {time: formatDuration(state.elapsed), limit: formatDuration(state.timeLimit)}));
+  if (state.hints.length) lines.push(t('share.hints', {count: state.hints.length}));
+  return lines;
+}
+
+/**
+ * Shareable results text: the summary, a blank line, then the emoji grid
+ * @returns {string} Text ending with a newline
+ */
+function resultsText() {
+  return `${resultsSummary().join('\n')}\n\n${resultRows().map(row => `${row}\n`).join('')}`;
+}
+
+/**
+ * Draw the results as an image: the summary lines over the grid of guesses as colored squares
+ * @returns {HTMLCanvasElement|null} Canvas, or null if the browser cannot draw
+ */
+function drawResultsCard() {
+  const {width, pad, cell, gap, bg, text, muted} = RESULTS_CARD;
+  const lines = resultsSummary();
+  const rows = resultGuesses();
+  const lineHeight = 34;
+  const gridTop = pad + lineHeight * lines.length + 24;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = gridTop + rows.length * (cell + gap) - gap + pad;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return null;
+
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, n) => {
+    // Shrink long lines (e.g. a long pack title) until they fit
+    let size = n === 0 ? 30 : 22;
+    do {
+      ctx.font = `${n === 0 ? 'bold ' : ''}${size}px system-ui, sans-serif`;
+      size -= 2;
+    } while (ctx.measureText(line).width > width - 2 * pad && size > 12);
+    ctx.fillStyle = n === 0 ? text : muted;
+    ctx.fillText(line, width / 2, pad + n * lineHeight);
+  });
+
+  const columns = puzzleShape(state.data).size;
+  const left = (width - (columns * cell + (columns - 1) * gap)) / 2;
+  ctx.font = `${cell / 2}px system-ui, sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  rows.forEach((row, r) => {
+    const y = gridTop + r * (cell + gap);
+    row.colors.forEach((color, c) => {
+      ctx.fillStyle = COLOR_MAP[color] || '#43699e';
+      ctx.fillRect(left + c * (cell + gap), y, cell, cell);
+    });
+    const marks = (row.outOfOrder ? '🔒' : '') + (row.hinted ? '💡' : '');
+    if (marks) ctx.fillText(marks, left + columns * (cell + gap), y + cell / 2);
+  });
+  return canvas;
+}
+
+/**
+ * Render the results image as a PNG
+ * @returns {Promise<Blob|null>} PNG data, or null if the browser cannot draw or encode images
+ */
+function resultsCardBlob() {
+  const canvas = drawResultsCard();
+  if (!canvas || !canvas.toBlob) return Promise.resolve(null);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * File name for the results image, from the puzzle id
+ * @returns {string} E.g. 'connections-puzzle-3.png'
+ */
+function resultsFileName() {
+  const slug = String(state.id || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `connections-${slug || 'results'}.png`;
+}
+
+/**
+ * Copy results to clipboard as formatted text, showing the share fallback if copying fails
+ */
+async function copyResults() {
+  const text = resultsText();
+  if (!await copyText(text, t('toast.copied'))) showShareFallback(text);
+}
+
+/**
+ * Share the results through the device's share sheet (text plus image where supported),
+ * falling back to the clipboard and then to the share fallback panel
+ */
+async function shareResults() {
+  const text = resultsText();
+  if (navigator.share) {
+    const blob = await resultsCardBlob();
+    const file = blob && new File([blob], resultsFileName(), {type: 'image/png'});
+    const withImage = file && navigator.canShare && navigator.canShare({files: [file]});
+    try {
+      await navigator.share(withImage ? {text, files: [file]} : {text});
+      return;
+    } catch(e) {
+      // Closing the share sheet is a choice, not a failure
+      if (e.name === 'AbortError') return;
+    }
+  }
+  if (!await copyText(text, t('toast.copied'))) showShareFallback(text);
+}
+
+/**
+ * Download the results image
+ */
+async function saveResultsImage() {
+  const blob = await resultsCardBlob();
+  if (!blob) {
+    toast(t('results.noImage'));
+    return;
+  }
+  downloadBlob(resultsFileName(), blob);
+}
+
+/**
+ * Show the results text ready to select and copy by hand, with the image download alongside,
+ * for browsers that can neither copy nor share
+ * @param {string} text - Results text
+ */
+function showShareFallback(text) {
+  const box = $('#shareFallbackText');
+  box.value = text;
+  $('#shareFallback').hidden = false;
+  box.focus();
+  box.select();
+}
+
+/* ---------- Replay ---------- */
+
+// Delay between replay steps while playing
+const REPLAY_STEP_MS = 1500;
 
-/* ---------- Screens ---------- */
+// Replay on the results screen: {frames, index, timer} while open, null otherwise
+let replay = null;
 
 /**
- * Show the intro/welcome screen with Christmas tree
- * Hides all other screens, shows welcome message and tree
+ * Format a duration as m:ss (or h:mm:ss past an hour)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
  */
-function showIntro() {
-  $('#introScreen').hidden = false;
-  $('#homeScreen').hidden = true;
-  $('#gameScreen').hidden = true;
-  $('#resultsScreen').hidden = true;
-  $('#homeBtn').disabled = true;
-  $('#resetBtn').disabled = true;
-  $('#actionbar').style.display = 'none';
-  $('#logo').textContent = '🔗 Laura\'s Connections';
-  renderChristmasTree();
+function formatDuration(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const sec = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
 }
 
 /**
- * Show the home screen with puzzle selector grid
- * Hides game and results screens, disables nav buttons, updates logo
+ * Describe a replay frame in one line
+ * @param {Object} f - Frame from replayFrames()
+ * @returns {string} Caption text
  */
-function showHome() {
-  $('#introScreen').hidden = true;
-  $('#homeScreen').hidden = false;
-  $('#gameScreen').hidden = true;
-  $('#resultsScreen').hidden = true;
-  $('#homeBtn').disabled = true;
-  $('#resetBtn').disabled = true;
-  $('#actionbar').style.display = 'none';
-  $('#logo').textContent = '🔗 Laura\'s Connections';
-  renderHome();
+function replayCaption(f) {
+  if (f.finished === 'solved') return t('replay.solved');
+  if (f.finished === 'failed') return t('replay.failed');
+  if (f.finished === 'timedOut') return t('replay.timedOut');
+  if (!f.outcome) return t(f.guess ? 'replay.inProgress' : 'replay.start');
+  const outcome = {
+    correct: `✅ ${f.category}`,
+    'one-away': t('replay.oneAway'),
+    wrong: t('replay.wrong')
+  }[f.outcome];
+  const elapsed = f.elapsed !== null ? ` · ${formatDuration(f.elapsed)}` : '';
+  return t('replay.guess', {number: f.guess, total: f.total, outcome}) + elapsed;
 }
 
 /**
- * Show the game screen with the puzzle board
- * Hides home and results screens, enables nav buttons, shows action bar, updates logo with puzzle number
+ * Render the current replay frame: solved groups, tiles with the guess highlighted, caption
  */
-function showGame() {
-  $('#introScreen').hidden = true;
-  $('#homeScreen').hidden = true;
-  $('#gameScreen').hidden = false;
-  $('#resultsScreen').hidden = true;
-  $('#homeBtn').disabled = false;
-  $('#resetBtn').disabled = false;
-  $('#actionbar').style.display = '';
-  $('#logo').textContent = `🔗 Laura's Connections #${currentIndex + 1}`;
-  buildBoard();
-  updateCongratsDisplay();
+function renderReplayFrame() {
+  const f = replay.frames[replay.index];
+  const prev = replay.frames[replay.index - 1];
+  const b = $('#replayBoard');
+  const {size} = puzzleShape(state.data);
+  b.innerHTML = '';
+  b.style.setProperty('--cols', size);
+  f.found.forEach((g, n) => {
+    const bar = groupBar(g, size);
+    if (prev && n >= prev.found.length) bar.classList.add('replay-new');
+    b.appendChild(bar);
+  });
+  const tiles = f.tiles.map((w, pos) => {
+    const selected = f.selectedTiles.includes(pos);
+    const d = document.createElement('div');
+    d.className = 'card';
+    d.setAttribute('role', 'gridcell');
+    d.textContent = w;
+    d.style.fontSize = calculateFontSize(w);
+    d.setAttribute('aria-selected', String(selected));
+    if (selected) d.classList.add('selected', `replay-${f.outcome}`);
+    return d;
+  });
+  boardRows(tiles, size).forEach(row => b.appendChild(row));
+  $('#replayCaption').textContent = replayCaption(f);
+  $('#replayMistakes').textContent = t('replay.mistakes', {mistakes: mistakesLabel(f.mistakes, state.rules)});
+  $('#replayStep').textContent = `${replay.index + 1}/${replay.frames.length}`;
+  $('#replayPlayBtn').textContent = t(replay.timer ? 'replay.pause' : 'replay.play');
+  $('#replayPrevBtn').disabled = $('#replayFirstBtn').disabled = replay.index === 0;
+  $('#replayNextBtn').disabled = $('#replayLastBtn').disabled = replay.index === replay.frames.length - 1;
 }
 
 /**
- * Show the results screen with colored emoji grid of guesses
- * Hides home and game screens, hides action bar
+ * Open the replay panel for the current puzzle and start playing from the first frame
  */
-function showResults() {
-  $('#introScreen').hidden = true;
-  $('#homeScreen').hidden = true;
-  $('#gameScreen').hidden = true;
-  $('#resultsScreen').hidden = false;
-  $('#actionbar').style.display = 'none';
-  renderResults();
+function startReplay() {
+  stopReplay();
+  replay = {frames: replayFrames(state.data, state.guesses, state.rules, {hints: state.hints, timedOut: state.timedOut, failed: state.failed}), index: 0, timer: null};
+  $('#replay').hidden = false;
+  playReplay();
 }
 
 /**
- * Update congratulations/failure message visibility based on game state
- * Shows success banner if solved, failure banner if failed, and results button if game is over
+ * Play the replay from the current frame (or from the start if it is on the last one)
  */
-function updateCongratsDisplay() {
-  const solved = state.locked && !state.failed;
-  $('#congrats').hidden = !solved;
-  $('#failure').hidden = !state.failed;
-  $('#resultsButtonWrapper').style.display = state.locked ? 'block' : 'none';
+function playReplay() {
+  if (replay.index === replay.frames.length - 1) replay.index = 0;
+  replay.timer = setInterval(() => {
+    replay.index++;
+    if (replay.index === replay.frames.length - 1) pauseReplay();
+    else renderReplayFrame();
+  }, REPLAY_STEP_MS);
+  renderReplayFrame();
 }
 
-/* ---------- Home grid ---------- */
+/**
+ * Pause the replay on the current frame
+ */
+function pauseReplay() {
+  clearInterval(replay.timer);
+  replay.timer = null;
+  renderReplayFrame();
+}
 
 /**
- * Get the completion status of a puzzle from localStorage
- * @param {Object} p - Puzzle object with id property
- * @returns {string} 'solved', 'failed', or 'unsolved'
+ * Pause and move to a frame
+ * @param {number} index - Frame index (clamped to the available frames)
  */
-function getPuzzleStatus(p) {
-  try {
-    const raw = localStorage.getItem(STORAGE_PREFIX + (p.id || ''));
-    if (!raw) return 'unsolved';
-    const obj = JSON.parse(raw);
-    if (obj.locked) {
-      if (obj.mistakes >= MAX_MISTAKES) return 'failed';
-      if (Array.isArray(obj.found) && obj.found.length === 4) return 'solved';
-    }
-  } catch(e) {}
-  return 'unsolved';
+function seekReplay(index) {
+  clearInterval(replay.timer);
+  replay.timer = null;
+  replay.index = Math.max(0, Math.min(replay.frames.length - 1, index));
+  renderReplayFrame();
 }
 
 /**
- * Convert puzzle status string to emoji symbol
- * @param {string} status - 'solved', 'failed', or 'unsolved'
- * @returns {string} Emoji representing the status (✅, ✖️, or ⬜)
+ * Stop any replay and hide its panel (called whenever the screen changes)
  */
-function statusSymbol(status) {
-  return status === 'solved' ? '✅' : (status === 'failed' ? '✖️' : '⬜');
+function stopReplay() {
+  if (replay) clearInterval(replay.timer);
+  replay = null;
+  const panel = $('#replay');
+  if (panel) panel.hidden = true;
 }
 
+/* ---------- Statistics ---------- */
+
 /**
- * Render the home screen puzzle grid
- * Creates clickable tiles for each puzzle showing status and number
+ * Read every saved puzzle state in localStorage (all packs and shared puzzles)
+ * Entries that are not valid JSON objects are skipped
+ * @returns {Array<Object>} Parsed save records, each with its storage key added as `key`
  */
-function renderHome() {
-  const grid = $('#homeGrid');
-  grid.innerHTML = '';
-  allPuzzles.forEach((p, i) => {
-    const tile = document.createElement('button');
-    tile.className = 'tile';
-    tile.setAttribute('aria-label', `Open puzzle ${i + 1}`);
-    const s = getPuzzleStatus(p);
-    tile.innerHTML = `<div class="status">${statusSymbol(s)}</div><div class="num">${i + 1}</div>`;
-    tile.onclick = () => {
-      currentIndex = i;
-      loadPuzzle(allPuzzles[i]);
-      showGame();
-    };
-    grid.appendChild(tile);
+function loadAllSaves() {
+  const saves = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+    try {
+      const obj = JSON.parse(localStorage.getItem(key));
+      if (obj && typeof obj === 'object') saves.push({...obj, key});
+    } catch(e) {}
+  }
+  return saves.sort((a, b) => a.key.localeCompare(b.key, undefined, {numeric: true}));
+}
+
+/**
+ * Aggregate player statistics from saved puzzle states
+ * Streaks follow finish order: finishedAt when recorded, else the last mistake's timestamp,
+ * else the order the saves were passed in (older saves have no timestamps)
+ * @param {Array<Object>} saves - Save records as written by saveSilently()
+ * @returns {Object} {played, finished, solved, failed, solveRate, currentStreak, longestStreak,
+ *   mistakes: [count for 0..MAX_MISTAKES mistakes on solved puzzles, the last bucket including more], avgGuesses,
+ *   firstColors: {color: count}, lastColors: {color: count}}
+ */
+function computeStats(saves) {
+  const guessesOf = s => Array.isArray(s.guesses) ? s.guesses : [];
+  const played = saves.filter(s => s.locked || guessesOf(s).length > 0);
+  const finishedAt = s => {
+    if (Number.isFinite(s.finishedAt)) return s.finishedAt;
+    const log = Array.isArray(s.mistakesLog) ? s.mistakesLog : [];
+    return log.length && Number.isFinite(log[log.length - 1].ts) ? log[log.length - 1].ts : 0;
+  };
+  const finished = played.filter(s => s.locked).sort((a, b) => finishedAt(a) - finishedAt(b));
+  const isFailed = s => s.failed === undefined ? s.mistakes >= MAX_MISTAKES : !!s.failed;
+  const solved = finished.filter(s => !isFailed(s));
+
+  let currentStreak = 0;
+  let longestStreak = 0;
+  finished.forEach(s => {
+    currentStreak = isFailed(s) ? 0 : currentStreak + 1;
+    longestStreak = Math.max(longestStreak, currentStreak);
   });
+
+  const mistakes = new Array(MAX_MISTAKES + 1).fill(0);
+  solved.forEach(s => mistakes[Math.min(MAX_MISTAKES, Math.max(0, s.mistakes | 0))]++);
+
+  const tally = (counts, guess) => {
+    const color = guess && guess.colors && guess.colors[0];
+    if (color) counts[color] = (counts[color] || 0) + 1;
+  };
+  const firstColors = {};
+  const lastColors = {};
+  played.forEach(s => tally(firstColors, guessesOf(s).find(g => g.correct)));
+  solved.forEach(s => tally(lastColors, guessesOf(s).filter(g => g.correct).pop()));
+
+  const totalGuesses = solved.reduce((n, s) => n + guessesOf(s).length, 0);
+  return {
+    played: played.length,
+    finished: finished.length,
+    solved: solved.length,
+    failed: finished.length - solved.length,
+    solveRate: finished.length ? Math.round(100 * solved.length / finished.length) : 0,
+    currentStreak,
+    longestStreak,
+    mistakes,
+    avgGuesses: solved.length ? Math.round(10 * totalGuesses / solved.length) / 10 : 0,
+    firstColors,
+    lastColors
+  };
 }
 
 /**
- * Render a Christmas tree using colored emoji blocks
- * Creates a symmetric tree with green blocks and a yellow star on top
+ * Render a horizontal bar chart as HTML rows
+ * @param {Array<Array>} rows - [label, count] pairs
+ * @param {string} barColor - CSS color for the bars (defaults to the accent color)
+ * @returns {string} HTML
  */
-function renderChristmasTree() {
-  const tree = $('#christmasTree');
-  tree.innerHTML = '';
+function statBars(rows, barColor) {
+  const max = Math.max(1, ...rows.map(r => r[1]));
+  return rows.map(([label, count]) => `
+    <div class="stat-bar">
+      <span class="stat-bar-label">${label}</span>
+      <span class="stat-bar-fill" style="width:${Math.max(8, 100 * count / max)}%;${barColor ? `background:${barColor}` : ''}">${formatNumber(count)}</span>
+    </div>`).join('');
+}
 
-  // Christmas tree pattern: star on top, then progressively wider rows
-  const treePattern = [
-    ['🟨'],                           // Star
-    ['🟩'],                           // Top of tree
-    ['🟩', '🟩', '🟩'],               // Row 2
-    ['🟩', '🟩', '🟩', '🟩', '🟩'],   // Row 3
-    ['🟩', '🟩', '🟩', '🟩', '🟩', '🟩', '🟩'], // Row 4
-    ['🟩', '🟩', '🟩', '🟩', '🟩', '🟩', '🟩', '🟩', '🟩'], // Bottom
-    ['🟫']                            // Trunk
+/**
+ * Render the statistics screen from all saved puzzle states
+ */
+function renderStats() {
+  const st = computeStats(loadAllSaves());
+  // The extra colors of bigger puzzles only get a row once someone has played one
+  const colorRows = counts => COLOR_ORDER.filter((c, i) => i < 4 || counts[c]).map(c => [COLOR_EMOJI[c], counts[c] || 0]);
+  const tiles = [
+    [t('stats.played'), st.played],
+    [t('stats.solveRate'), st.solveRate],
+    [t('stats.currentStreak'), st.currentStreak],
+    [t('stats.maxStreak'), st.longestStreak]
   ];
+  $('#statsSummary').innerHTML = tiles.map(([label, value]) =>
+    `<div class="stat"><div class="stat-value">${formatNumber(value)}</div><div class="stat-label">${label}</div></div>`).join('');
+  $('#statsMistakes').innerHTML = statBars(
+    st.mistakes.map((n, i) => [i === MAX_MISTAKES ? `${i}+` : String(i), n]).concat([['✖️', st.failed]]),
+    'var(--good)'
+  );
+  $('#statsGuesses').textContent = st.solved ? t('stats.avgGuesses', {count: st.avgGuesses}) : t('stats.noSolves');
+  $('#statsFirst').innerHTML = statBars(colorRows(st.firstColors));
+  $('#statsLast').innerHTML = statBars(colorRows(st.lastColors));
+}
 
-  treePattern.forEach(row => {
-    const rowDiv = document.createElement('div');
-    rowDiv.className = 'tree-row';
-    rowDiv.textContent = row.join('');
-    tree.appendChild(rowDiv);
-  });
+/**
+ * Show the statistics screen
+ */
+function showStats() {
+  showScreen('statsScreen');
+  $('#homeBtn').disabled = false;
+  $('#homeBtn').textContent = t('nav.puzzles');
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#logo').textContent = t('logo.stats');
+  pendingBackup = null;
+  renderImportPreview();
+  renderStats();
 }
 
-/* ---------- Game ---------- */
+/* ---------- Backup ---------- */
+
+// Format identifier and version of progress backup files
+const BACKUP_FORMAT = 'connections-backup';
+const BACKUP_VERSION = 1;
+
+// Backup parsed from the chosen file, waiting for the player to confirm the import
+let pendingBackup = null;
 
 /**
- * Get flat array of all words in the current puzzle
- * @returns {Array<string>} All words from all groups
+ * Collect every saved puzzle state into a versioned backup document
+ * @returns {Object} Backup with format, version, exportedAt and entries keyed by storage key
  */
-function pool() {
-  return state.data.groups.flatMap(g => g.words);
+function createBackup() {
+  const entries = {};
+  loadAllSaves().forEach(({key, ...record}) => entries[key] = record);
+  return {format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), entries};
 }
 
 /**
- * Build and render the game board
- * Shows solved groups at top, then either remaining cards (if playing) or all unsolved groups (if locked)
- * Manages card selection state and shuffle order
+ * Check that a backup entry looks like a save written by saveSilently()
+ * @param {string} key - Storage key
+ * @param {*} record - Entry value
+ * @returns {string|null} Why the entry is unusable, or null if it is fine
  */
-function buildBoard() {
-  const b = $('#board');
-  b.innerHTML = '';
+function backupEntryProblem(key, record) {
+  if (!key.startsWith(STORAGE_PREFIX) || key === STORAGE_PREFIX) return t('backup.notSaveKey');
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return t('backup.notObject');
+  if (!Number.isInteger(record.mistakes) || record.mistakes < 0) return t('backup.badMistakes');
+  for (const field of ['found', 'guesses', 'mistakesLog', 'order', 'selection']) {
+    if (record[field] !== undefined && !Array.isArray(record[field])) return t('backup.notArray', {field});
+  }
+  return null;
+}
 
-  // First, render any solved groups at the top
-  if (state.found.length > 0) {
-    state.found.forEach(g => {
-      const wrap = document.createElement('div');
-      wrap.className = 'group';
-      wrap.style.borderLeftColor = g.color || '#43699e';
-      wrap.style.gridColumn = 'span 4';
-      const wordsHtml = g.words.map(w => `<span style="font-size:${calculateFontSize(w)}">${escapeHtml(w)}</span>`).join(' · ');
-      wrap.innerHTML = `<div class="title">${escapeHtml(g.category)}</div><div class="words">${wordsHtml}</div>`;
-      b.appendChild(wrap);
-    });
+/**
+ * Parse and validate backup JSON text
+ * Unusable entries are skipped and reported rather than failing the whole import
+ * @param {string} text - Raw JSON text
+ * @param {string} source - File name, used in error messages
+ * @returns {Object} {entries: {key: record}, skipped: ['key: reason', ...]}
+ * @throws {Error} If the text is not JSON or not a backup file
+ */
+function parseBackup(text, source='backup') {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch(e) {
+    throw new Error(t('error.notJson', {source}));
+  }
+  if (!doc || doc.format !== BACKUP_FORMAT || typeof doc.entries !== 'object' || !doc.entries) {
+    throw new Error(t('error.notBackup', {source}));
   }
+  if (!Number.isInteger(doc.version) || doc.version > BACKUP_VERSION) {
+    throw new Error(t('error.newerBackup', {source}));
+  }
+  const entries = {};
+  const skipped = [];
+  Object.entries(doc.entries).forEach(([key, record]) => {
+    const problem = backupEntryProblem(key, record);
+    if (problem) skipped.push(`${key}: ${problem}`);
+    else entries[key] = record;
+  });
+  return {entries, skipped};
+}
 
-  // Then render remaining cards or show all groups if locked
-  if (state.locked) {
-    const allGroups = state.found.length === 4 ? [] : state.data.groups
-      .filter(g => !state.found.some(f => f.category === g.category))
-      .map(g => ({
-        category: g.category,
-        words: [...g.words],
-        color: COLOR_MAP[g.color] || g.color
-      }));
-    allGroups.forEach(g => {
-      const wrap = document.createElement('div');
-      wrap.className = 'group';
-      wrap.style.borderLeftColor = g.color || '#43699e';
-      wrap.style.gridColumn = 'span 4';
-      const wordsHtml = g.words.map(w => `<span style="font-size:${calculateFontSize(w)}">${escapeHtml(w)}</span>`).join(' · ');
-      wrap.innerHTML = `<div class="title">${escapeHtml(g.category)}</div><div class="words">${wordsHtml}</div>`;
-      b.appendChild(wrap);
-    });
-  } else {
-    const foundWords = new Set(state.found.flatMap(g => g.words));
-    const words = pool();
-    const activeWords = words.filter(w => !foundWords.has(w));
-
-    if (state.order.length !== activeWords.length) {
-      const activeIndices = words
-        .map((w, i) => [w, i])
-        .filter(pair => !foundWords.has(pair[0]))
-        .map(pair => pair[1]);
-      state.order = shuffle(activeIndices);
-      state.selection.clear();
-    }
+/**
+ * Readable name for a storage key, e.g. "Puzzle 3", "Puzzle 3 (test)" or "Shared puzzle"
+ * @param {string} key - Storage key
+ * @param {Object} record - Save stored under the key (its id names shared puzzles)
+ * @returns {string} Label
+ */
+function saveLabel(key, record) {
+  const rest = key.slice(STORAGE_PREFIX.length);
+  const slash = rest.indexOf('/');
+  if (slash === -1) return rest;
+  const ns = rest.slice(0, slash);
+  if (ns === 'shared') return t('backup.shared', {id: (record && record.id) || rest.slice(slash + 1)});
+  return `${rest.slice(slash + 1)} (${ns})`;
+}
 
-    state.order.forEach(i => {
-      const d = document.createElement('div');
-      d.className = 'card';
-      d.textContent = words[i];
-      d.style.fontSize = calculateFontSize(words[i]);
-      if (state.selection.has(i)) d.classList.add('selected');
-      d.onclick = () => toggle(i, d);
-      b.appendChild(d);
-    });
+/**
+ * Work out what importing a backup would do to each saved puzzle
+ * @param {Object} incoming - Backup entries keyed by storage key
+ * @param {Object} existing - Current saves keyed by storage key
+ * @param {string} mode - 'merge' keeps saves missing from the backup, 'replace' deletes them
+ * @returns {Array<Object>} Rows of {key, label, current, incoming, action: 'add'|'overwrite'|'same'|'delete'}
+ */
+function planImport(incoming, existing, mode) {
+  const rows = Object.entries(incoming).map(([key, record]) => {
+    const old = existing[key];
+    let action = 'add';
+    if (old) action = JSON.stringify(old) === JSON.stringify(record) ? 'same' : 'overwrite';
+    return {
+      key,
+      label: saveLabel(key, record),
+      current: old ? statusFromSave(old) : null,
+      incoming: statusFromSave(record),
+      action
+    };
+  });
+  if (mode === 'replace') {
+    Object.keys(existing).filter(key => !(key in incoming)).forEach(key => rows.push({
+      key,
+      label: saveLabel(key, existing[key]),
+      current: statusFromSave(existing[key]),
+      incoming: null,
+      action: 'delete'
+    }));
   }
-
-  $('#mistakes b').textContent = `${state.mistakes}/${MAX_MISTAKES}`;
-  $('#puzzleId b').textContent = state.id || '-';
-  reflectLockedUI();
+  return rows.sort((a, b) => a.key.localeCompare(b.key, undefined, {numeric: true}));
 }
 
 /**
- * Update UI button states based on whether puzzle is locked
- * Disables submit/deselect/shuffle buttons when puzzle is complete
+ * Current saves keyed by storage key
+ * @returns {Object} {key: record}
  */
-function reflectLockedUI() {
-  const disabled = state.locked;
-  $('#submitBtn').disabled = disabled;
-  $('#deselectBtn').disabled = disabled;
-  $('#shuffleBtn').disabled = disabled;
-  $('#resetBtn').disabled = false;
+function existingSaves() {
+  const map = {};
+  loadAllSaves().forEach(({key, ...record}) => map[key] = record);
+  return map;
 }
 
 /**
- * Toggle selection state of a word card
- * @param {number} i - Word index in the pool
- * @param {Element} d - DOM element for the card
+ * Download all saved progress as a backup file
  */
-function toggle(i, d) {
-  if (state.locked) {
-    toast('Puzzle is finished.');
+function exportBackup() {
+  const backup = createBackup();
+  const count = Object.keys(backup.entries).length;
+  if (!count) {
+    toast(t('backup.nothing'));
     return;
   }
-  if (state.selection.has(i)) {
-    state.selection.delete(i);
-    d.classList.remove('selected');
-  } else {
-    if (state.selection.size >= 4) {
-      toast('Maximum 4 words');
-      return;
-    }
-    state.selection.add(i);
-    d.classList.add('selected');
-  }
+  downloadJson(`connections-backup-${backup.exportedAt.slice(0, 10)}.json`, backup);
+  toast(t('backup.exported', {count}));
 }
 
 /**
- * Submit the current selection of 4 words as a guess
- * Checks for correct match, tracks guess for results, handles win/loss conditions
- * Shows "one away" message if 3 out of 4 words are correct
+ * Read the chosen backup file and show the import preview
+ * @param {Event} e - Change event from the #backupFile input
  */
-function submit() {
-  if (state.locked) {
-    toast('Puzzle is finished.');
-    return;
+async function onBackupFileChosen(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    pendingBackup = parseBackup(await file.text(), file.name);
+    renderImportPreview();
+  } catch(err) {
+    toast(err.message, 4000);
   }
-  if (state.selection.size !== 4) {
-    toast('Pick exactly 4');
+}
+
+/**
+ * Render the import preview: what each puzzle's status is now and after import, per the chosen mode
+ */
+function renderImportPreview() {
+  const panel = $('#importPreview');
+  if (!pendingBackup) {
+    panel.hidden = true;
     return;
   }
+  const mode = $('input[name="importMode"]:checked').value;
+  const rows = planImport(pendingBackup.entries, existingSaves(), mode);
+  const statusCell = st => st ? `${statusSymbol(st)} ${t(`status.${st}`)}` : '—';
+  $('#importRows').innerHTML = rows.map(r => `
+    <tr class="${r.action}">
+      <td>${escapeHtml(r.label)}</td>
+      <td>${statusCell(r.current)}</td>
+      <td>${statusCell(r.incoming)}</td>
+      <td>${t(`backup.${r.action}`)}</td>
+    </tr>`).join('') || `<tr><td colspan="4">${t('backup.empty')}</td></tr>`;
+  $('#importSkipped').innerHTML = pendingBackup.skipped.map(sk => `<li>${escapeHtml(t('backup.skipped', {entry: sk}))}</li>`).join('');
+  panel.hidden = false;
+}
 
-  const wordsSel = [...state.selection].map(i => pool()[i]);
+/**
+ * Write the pending backup into localStorage using the chosen mode
+ */
+function applyImport() {
+  if (!pendingBackup) return;
+  const mode = $('input[name="importMode"]:checked').value;
+  const rows = planImport(pendingBackup.entries, existingSaves(), mode);
+  rows.forEach(r => {
+    if (r.action === 'delete') localStorage.removeItem(r.key);
+    else if (r.action !== 'same') localStorage.setItem(r.key, JSON.stringify(pendingBackup.entries[r.key]));
+  });
+  migrateAllSaves();
+  pendingBackup = null;
+  loadedRoute = null; // The loaded puzzle may have been overwritten; reload it on next visit
+  renderImportPreview();
+  renderStats();
+  toast(t('backup.imported', {count: rows.filter(r => r.action === 'add' || r.action === 'overwrite').length}));
+}
 
-  // Check if this combination was already tried
-  const sortedWords = wordsSel.slice().sort().join(',');
-  const alreadyTried = state.mistakesLog.some(entry =>
-    entry.words.slice().sort().join(',') === sortedWords
-  );
-  if (alreadyTried) {
-    toast('Already tried that...');
-    return;
-  }
+/**
+ * Discard the pending backup without importing it
+ */
+function cancelImport() {
+  pendingBackup = null;
+  renderImportPreview();
+}
 
-  const match = state.data.groups.find(g =>
-    g.words.every(w => wordsSel.includes(w))
-  );
+/* ---------- Offline app ---------- */
 
-  // Track guess for results visualization
-  const guessColors = wordsSel.map(w => {
-    const group = state.data.groups.find(g => g.words.includes(w));
-    if (!group) return 'gray';
-    return group.colorName || COLOR_REVERSE[group.color] || 'gray';
-  });
-  state.guesses.push({words: wordsSel, colors: guessColors, correct: !!match});
+// Service worker installed and waiting to replace the running version, once the player agrees
+let waitingWorker = null;
 
-  if (match) {
-    state.found.push({
-      category: match.category,
-      words: [...match.words],
-      color: COLOR_MAP[match.color] || match.color
+/**
+ * Register the service worker that caches the game for offline play, and watch for new versions
+ * Skipped where service workers cannot run (unsupported browsers, pages opened from a file)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register('sw.js').then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
     });
-    toast('✅ Correct');
-    const foundSet = new Set(match.words);
-    const words = pool();
-    state.order = state.order.filter(i => !foundSet.has(words[i]));
-    state.selection.clear();
-    if (state.found.length === 4) {
-      toast('🎉 Solved!');
-      state.locked = true;
-      state.failed = false;
-      updateCongratsDisplay();
-    }
-    buildBoard();
-    saveSilently();
-  } else {
-    const entry = {ts: Date.now(), words: [...wordsSel]};
-    state.mistakesLog.push(entry);
-    state.mistakes = Math.min(MAX_MISTAKES, state.mistakes + 1);
-    $('#mistakes b').textContent = `${state.mistakes}/${MAX_MISTAKES}`;
-    const oneAway = state.data.groups.some(g =>
-      g.words.filter(w => wordsSel.includes(w)).length === 3
-    );
-    toast(oneAway ? 'One away...' : '❌ Not a group');
-    if (state.mistakes >= MAX_MISTAKES) {
-      toast('💥 Max mistakes reached — revealing solution');
-      state.failed = true;
-      revealAllAndLock();
-      updateCongratsDisplay();
-    }
-    saveSilently();
-  }
+  }).catch(() => {});
 }
 
 /**
- * Reveal all remaining groups and lock the puzzle (used when max mistakes reached)
- * Adds all unsolved groups to the found array and rebuilds the board
+ * Offer to reload into a newly deployed version
+ * @param {ServiceWorker} worker - The installed, waiting service worker
  */
-function revealAllAndLock() {
-  const foundWords = new Set(state.found.flatMap(g => g.words));
-  state.data.groups.forEach(g => {
-    if (!g.words.every(w => foundWords.has(w))) {
-      state.found.push({
-        category: g.category,
-        words: [...g.words],
-        color: COLOR_MAP[g.color] || g.color
-      });
-    }
-  });
-  state.locked = true;
-  state.selection.clear();
-  buildBoard();
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  $('#updateBar').hidden = false;
 }
 
 /**
- * Clear all selected cards
- * Updates both state and UI to remove all selections
+ * Switch to the waiting version: save the game, let the new worker take over, then reload
  */
-function deselectAll() {
-  if (state.locked) {
-    toast('Puzzle is finished.');
-    return;
-  }
-  state.selection.clear();
-  $$('.card').forEach(c => c.classList.remove('selected'));
+function applyUpdate() {
+  $('#updateBar').hidden = true;
+  if (!waitingWorker) return;
+  stopClock();
+  navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), {once: true});
+  waitingWorker.postMessage({type: 'SKIP_WAITING'});
 }
 
+/* ---------- Settings ---------- */
+
+// LocalStorage key for player settings
+const SETTINGS_KEY = 'connections.settings';
+
+// Settings used until the player changes them
+const DEFAULT_SETTINGS = {
+  timedMode: false,           // Start new games with a countdown
+  timeLimitMinutes: 3,        // Countdown length for timed games
+  hints: 'off',               // One of HINT_MODES
+  maxMistakes: MAX_MISTAKES,  // Mistakes allowed in new games, 0 for unlimited
+  hardMode: false,            // Start new games in hard mode
+  noShuffle: false,           // Start new games with the Shuffle button off
+  keepTileOrder: false,       // Results show each guess's colors in the order the words were picked
+  locale: 'auto'              // Interface language: a key of LOCALES, or 'auto' to follow the browser
+};
+
+// Current settings (DEFAULT_SETTINGS merged with what the player saved)
+let settings = loadSettings();
+
 /**
- * Shuffle the order of cards on the board
- * Re-randomizes the display order of remaining unsolved words
+ * Read settings from localStorage, falling back to defaults for anything missing or invalid
+ * @returns {Object} Settings object
  */
-function shuffleBoard() {
-  if (state.locked) {
-    toast('Puzzle is finished.');
-    return;
-  }
-  state.order = shuffle(state.order);
-  buildBoard();
+function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch(e) {}
+  const out = {...DEFAULT_SETTINGS};
+  Object.keys(DEFAULT_SETTINGS).forEach(k => {
+    if (typeof saved[k] === typeof DEFAULT_SETTINGS[k]) out[k] = saved[k];
+  });
+  if (!(out.timeLimitMinutes > 0)) out.timeLimitMinutes = DEFAULT_SETTINGS.timeLimitMinutes;
+  if (!HINT_MODES.includes(out.hints)) out.hints = DEFAULT_SETTINGS.hints;
+  if (!Number.isInteger(out.maxMistakes) || out.maxMistakes < 0) out.maxMistakes = DEFAULT_SETTINGS.maxMistakes;
+  if (out.locale !== 'auto' && !LOCALES[out.locale]) out.locale = DEFAULT_SETTINGS.locale;
+  return out;
 }
 
 /**
- * Save current game state to localStorage without user feedback
- * Serializes all state properties including progress, guesses, and mistakes
+ * Persist the current settings
  */
-function saveSilently() {
-  if (!state.id) return;
-  const payload = {
-    data: state.data,
-    id: state.id,
-    order: state.order,
-    selection: [...state.selection],
-    found: state.found,
-    mistakes: state.mistakes,
-    mistakesLog: state.mistakesLog,
-    guesses: state.guesses,
-    locked: state.locked,
-    failed: state.failed
-  };
-  localStorage.setItem(STORAGE_PREFIX + state.id, JSON.stringify(payload));
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
 }
 
 /**
- * Restore saved game state from localStorage if it exists
- * Handles backward compatibility for old saves missing colorName or failed properties
+ * Time limit for a game started now
+ * @returns {number|null} Milliseconds, or null when timed mode is off
  */
-function restoreIfAny() {
-  if (!state.id) return;
-  try {
-    const raw = localStorage.getItem(STORAGE_PREFIX + state.id);
-    if (!raw) return;
-    const p = JSON.parse(raw);
-    state.order = Array.isArray(p.order) ? p.order : state.order;
-    state.selection = new Set(Array.isArray(p.selection) ? p.selection : []);
-    state.found = Array.isArray(p.found) ? p.found : [];
-    state.mistakes = Number.isInteger(p.mistakes) ? p.mistakes : 0;
-    state.mistakesLog = Array.isArray(p.mistakesLog) ? p.mistakesLog : [];
-    state.guesses = Array.isArray(p.guesses) ? p.guesses : [];
-    state.locked = !!p.locked;
-    if (p.failed === undefined && state.locked) {
-      state.failed = state.mistakes >= MAX_MISTAKES;
-    } else {
-      state.failed = !!p.failed;
-    }
-    if (state.data && state.data.groups) {
-      state.data.groups.forEach(g => {
-        if (!g.colorName && g.color) {
-          g.colorName = COLOR_REVERSE[g.color] || g.color;
-        }
-      });
-    }
-  } catch(e) {}
+function newGameTimeLimit() {
+  return settings.timedMode ? settings.timeLimitMinutes * 60000 : null;
 }
 
 /**
- * Normalize puzzle data for consistent internal format
- * Uppercases all words, converts color names to hex values, preserves colorName for emoji mapping
- * @param {Object} p - Puzzle object with groups array
- * @returns {Object} Normalized puzzle object
+ * Rules the player chose for new games (a puzzle's own rules still win, see gameRules())
+ * @returns {Object} Rules object
  */
-function normalizePuzzle(p) {
-  p.groups.forEach(g => {
-    g.words = g.words.map(w => String(w).toUpperCase());
-    const originalColor = g.color;
-    g.colorName = COLOR_MAP[originalColor] ? originalColor : COLOR_REVERSE[originalColor] || originalColor;
-    g.color = COLOR_MAP[originalColor] || originalColor;
-  });
-  return p;
+function playerRules() {
+  return {
+    maxMistakes: settings.maxMistakes || null,
+    hardMode: settings.hardMode,
+    shuffle: !settings.noShuffle
+  };
 }
 
 /**
- * Load a puzzle and initialize game state
- * Normalizes puzzle data, resets state, attempts to restore progress from localStorage
- * @param {Object} json - Puzzle data with id and groups
+ * Fill the settings form from the current settings
  */
-function loadPuzzle(json) {
-  state.data = normalizePuzzle(json);
-  state.id = json.id || Math.random().toString(36).slice(2);
-  state.order = [];
-  state.selection.clear();
-  state.found = [];
-  state.mistakes = 0;
-  state.mistakesLog = [];
-  state.guesses = [];
-  state.locked = false;
-  state.failed = false;
-  restoreIfAny();
-  buildBoard();
+function renderSettings() {
+  $('#timedModeInput').checked = settings.timedMode;
+  $('#timeLimitInput').value = String(settings.timeLimitMinutes);
+  $('#timeLimitInput').disabled = !settings.timedMode;
+  $('#hintsInput').value = settings.hints;
+  $('#maxMistakesInput').value = String(settings.maxMistakes);
+  $('#hardModeInput').checked = settings.hardMode;
+  $('#noShuffleInput').checked = settings.noShuffle;
+  $('#keepTileOrderInput').checked = settings.keepTileOrder;
+  $('#localeInput').innerHTML = [`<option value="auto">${t('settings.languageAuto')}</option>`]
+    .concat(Object.entries(LOCALES).map(([code, name]) => `<option value="${code}" lang="${code}">${name}</option>`))
+    .join('');
+  $('#localeInput').value = settings.locale;
 }
 
 /**
- * Reset the current puzzle to starting state
- * Clears localStorage, resets all state, rebuilds board
+ * Show the settings screen
  */
-function resetPuzzle() {
-  if (!state.data) return;
-  localStorage.removeItem(STORAGE_PREFIX + state.id);
-  state.order = [];
-  state.selection.clear();
-  state.found = [];
-  state.mistakes = 0;
-  state.mistakesLog = [];
-  state.guesses = [];
-  state.locked = false;
-  state.failed = false;
-  buildBoard();
-  updateCongratsDisplay();
-  toast('🔄 Puzzle reset!');
+function showSettings() {
+  showScreen('settingsScreen');
+  $('#homeBtn').disabled = false;
+  $('#homeBtn').textContent = t('nav.puzzles');
+  $('#resetBtn').disabled = true;
+  $('#actionbar').style.display = 'none';
+  $('#logo').textContent = t('logo.settings');
+  renderSettings();
 }
 
-/* ---------- Results ---------- */
+/**
+ * Store a change made on the settings screen
+ */
+function onSettingsInput() {
+  settings.timedMode = $('#timedModeInput').checked;
+  settings.timeLimitMinutes = Number($('#timeLimitInput').value) || DEFAULT_SETTINGS.timeLimitMinutes;
+  settings.hints = $('#hintsInput').value;
+  settings.maxMistakes = Number($('#maxMistakesInput').value);
+  settings.hardMode = $('#hardModeInput').checked;
+  settings.noShuffle = $('#noShuffleInput').checked;
+  settings.keepTileOrder = $('#keepTileOrderInput').checked;
+  const localeChanged = settings.locale !== $('#localeInput').value;
+  settings.locale = $('#localeInput').value;
+  saveSettings();
+  if (localeChanged) applyLocale();
+  renderSettings();
+}
+
+/* ---------- Language ---------- */
 
 /**
- * Render the results screen with colored emoji grid representing all guesses
- * Groups emoji by color and sorts by frequency for cleaner visualization
+ * Switch the interface to the language chosen in settings (or the browser's) and re-render
+ * The Create form is rebuilt on its next render, since its labels are baked in when built
  */
-function renderResults() {
-  const grid = $('#resultsGrid');
-  grid.innerHTML = '';
-  if (!state.guesses || state.guesses.length === 0) {
-    grid.innerHTML = '<p style="color:var(--muted)">No guesses recorded</p>';
-    return;
+function applyLocale() {
+  setLocale(pickLocale(settings.locale, navigator.languages || [navigator.language]));
+  document.documentElement.lang = currentLocale;
+  translatePage();
+  $('#draftGroups').innerHTML = '';
+  if (currentPack) {
+    document.title = presentationText('title');
+    route();
   }
-  state.guesses.forEach(guess => {
-    const row = document.createElement('div');
-    row.className = 'results-row';
-    const colorCounts = {};
-    guess.colors.forEach(c => {
-      const colorName = COLOR_EMOJI[c] ? c : COLOR_REVERSE[c] || c;
-      colorCounts[colorName] = (colorCounts[colorName] || 0) + 1;
-    });
-    const sortedColors = Object.entries(colorCounts).sort((a, b) => b[1] - a[1]);
-    sortedColors.forEach(([color, count]) => {
-      for (let i = 0; i < count; i++) {
-        row.textContent += COLOR_EMOJI[color] || '⬜';
-      }
-    });
-    grid.appendChild(row);
-  });
 }
 
 /**
- * Copy results to clipboard as formatted text
- * Generates shareable text with puzzle number, status, mistakes, and emoji grid
+ * Fill the page's static text from the message catalog
+ * Elements name their message with data-i18n (text), data-i18n-label (aria-label) or
+ * data-i18n-placeholder; data-i18n-count supplies the count for plural messages
+ * @param {Element} root - Element to translate inside (defaults to the whole document)
  */
-function copyResults() {
-  const puzzleNum = currentIndex + 1;
-  let text = `Laura's Connections #${puzzleNum}\n`;
-  if (state.locked && state.found.length === 4) {
-    text += 'Solved! ✅\n';
-  } else if (state.locked) {
-    text += 'Failed ❌\n';
-  }
-  text += `Mistakes: ${state.mistakes}/${MAX_MISTAKES}\n\n`;
-  state.guesses.forEach(guess => {
-    const colorCounts = {};
-    guess.colors.forEach(c => {
-      const colorName = COLOR_EMOJI[c] ? c : COLOR_REVERSE[c] || c;
-      colorCounts[colorName] = (colorCounts[colorName] || 0) + 1;
-    });
-    const sortedColors = Object.entries(colorCounts).sort((a, b) => b[1] - a[1]);
-    sortedColors.forEach(([color, count]) => {
-      for (let i = 0; i < count; i++) {
-        text += COLOR_EMOJI[color] || '⬜';
-      }
-    });
-    text += '\n';
+function translatePage(root=document) {
+  $$('[data-i18n], [data-i18n-label], [data-i18n-placeholder]', root).forEach(el => {
+    const params = el.dataset.i18nCount ? {count: Number(el.dataset.i18nCount)} : {};
+    if (el.dataset.i18n) el.textContent = t(el.dataset.i18n, params);
+    if (el.dataset.i18nLabel) el.setAttribute('aria-label', t(el.dataset.i18nLabel, params));
+    if (el.dataset.i18nPlaceholder) el.placeholder = t(el.dataset.i18nPlaceholder, params);
   });
-  navigator.clipboard.writeText(text)
-    .then(() => toast('📋 Copied to clipboard!'))
-    .catch(() => toast('Failed to copy'));
 }
 
 /**
@@ -666,73 +3388,81 @@ function escapeHtml(s) {
 
 // Embedded puzzles
 const SAMPLES = [
-  {id:'Puzzle 1', groups:[
-    {category:'FALSE FRIENDS (EN WORDS, FR MEANINGS)', color:'purple', words:['LOCATION','LECTURE','SENSIBLE','AGENDA']},
+  {id:'Puzzle 1', title:'Across Languages', collection:'Languages', tags:['french', 'vocabulary'], difficulty:'medium', groups:[
+    {category:'FALSE FRIENDS (EN WORDS, FR MEANINGS)', color:'purple', words:['LOCATION','LECTURE','SENSIBLE','AGENDA'],
+      explanation:'Each looks like an English word but means something else in French.',
+      notes:{LOCATION:'une location is a rental; a location is un emplacement', LECTURE:'une lecture is a reading; a lecture is un cours', SENSIBLE:'sensible means sensitive; sensible is raisonnable', AGENDA:'un agenda is a diary or planner; an agenda is un ordre du jour'}},
     {category:'FRENCH LOANWORDS IN ENGLISH', color:'blue', words:['CAFÉ','MENU','CHEF','DEPOT']},
-    {category:'HOMOGRAPHS ACROSS LANGUAGES', color:'green', words:['CHAT','PAIN','COIN','GIFT']},
+    {category:'HOMOGRAPHS ACROSS LANGUAGES', color:'green', words:['CHAT','PAIN','COIN','GIFT'],
+      explanation:'Spelled like English words, but they mean something else in another language.',
+      notes:{CHAT:'French for cat', PAIN:'French for bread', COIN:'French for corner', GIFT:'German for poison'}},
     {category:'INTERNATIONAL WORDS', color:'yellow', words:['TAXI','HOTEL','RADIO','PIANO']}
   ]},
-  {id:'Puzzle 2', groups:[
+  {id:'Puzzle 2', title:'Around Town', collection:'Local Restaurants', tags:['restaurants', 'bars'], difficulty:'easy', groups:[
     {category:'SIT AT THE BAR', color:'purple', words:['MOSS BAY HALL', 'ROCK CREEK', 'BOTTLE AND BULL', 'CENTRAL TAVERN' ]},
     {category:'PIZZA JOINTS', color:'blue', words:['VONN’S', 'ROCCO’S', 'ACROPOLIS', 'ZEEK’S']},
     {category:'BREAKFAST', color:'green', words:['GEORGE’S', 'DERU', 'FARINE', 'THE BRIEF ENCOUNTER']},
     {category:'ITALIAN', color:'yellow', words:['PROSECCO', 'RIMINI', 'PARADISO', 'VOLTERRA']}
   ]},
-  {id:'Puzzle 3', groups:[
+  {id:'Puzzle 3', title:'Signals and Scales', collection:'Linguistics', tags:['acoustics', 'phonetics'], difficulty:'hard', groups:[
     {category:'PERCEPTUAL FREQUENCY SCALES', color:'purple', words:['MEL','BARK','ERB','SEMITONE']},
     {category:'PROSODIC FEATURES', color:'blue', words:['PITCH','STRESS','TONE','DURATION']},
     {category:'SPECTRAL COMPONENTS', color:'green', words:['FORMANT','HARMONIC','CEPSTRUM','SPECTRUM']},
     {category:'MEASUREMENT UNITS', color:'yellow', words:['HERTZ','DECIBEL','FRAME','SAMPLE']}
   ]},
-  {id:'Puzzle 4', groups:[
+  {id:'Puzzle 4', title:'Say It Four Ways', collection:'Languages', tags:['translation', 'vocabulary'], difficulty:'easy', groups:[
     {category:'MEANS "GIFT" (EN/FR/DE/ES)', color:'purple', words:['GIFT','CADEAU','GESCHENK','REGALO']},
     {category:'MEANS "NAME" (EN/FR/ES/IT)', color:'blue', words:['NAME','NOM','NOMBRE','NOME']},
     {category:'MEANS "WORD" (FR/DE/ES/IT)', color:'green', words:['MOT','WORT','PALABRA','PAROLA']},
     {category:'MEANS "LANGUAGE" (FR/DE/ES/IT)', color:'yellow', words:['LANGUE','SPRACHE','LENGUA','LINGUA']}
   ]},
-  {id:'Puzzle 5', groups:[
+  {id:'Puzzle 5', title:'Sound Systems', collection:'Linguistics', tags:['phonology', 'phonetics', 'syntax'], difficulty:'hard', groups:[
     {category:'DISTINCTIVE PHONOLOGICAL FEATURES', color:'purple', words:['SONORANT','CONTINUANT','STRIDENT','SIBILANT']},
     {category:'PLACES OF ARTICULATION', color:'blue', words:['LABIAL','DENTAL','VELAR','GLOTTAL']},
-    {category:'PHONATION TYPES', color:'green', words:['CREAKY','BREATHY','MODAL','FALSETTO']},
+    {category:'PHONATION TYPES', color:'green', words:['CREAKY','BREATHY','MODAL','FALSETTO'],
+      explanation:'Ways the vocal folds can vibrate while voicing a sound.',
+      notes:{CREAKY:'Slow, irregular vibration, also called vocal fry', BREATHY:'The folds vibrate without closing fully, so air escapes', MODAL:'The ordinary voice used for most speech', FALSETTO:'Thin, stretched folds vibrating at a high pitch'}},
     {category:'SYNTACTIC CONSTITUENTS', color:'yellow', words:['CLAUSE','PHRASE','MORPHEME','LEXEME']}
   ]},
-  {id:'Puzzle 6', groups:[
+  {id:'Puzzle 6', title:'Model Internals', collection:'Speech ML', tags:['nlp', 'deep learning'], difficulty:'medium', groups:[
     {category:'TOKENIZATION ALGORITHMS', color:'purple', words:['BPE','WORD-PIECE','SENTENCE-PIECE','UNIGRAM']},
     {category:'DECODING STRATEGIES', color:'blue', words:['GREEDY','BEAM','SAMPLING','NUCLEUS']},
     {category:'ACOUSTIC FEATURES', color:'green', words:['MFCC','FBANK','SPECTRO-GRAM','WAVEFORM']},
     {category:'NEURAL ARCHITECTURES', color:'yellow', words:['TRANS-FORMER','CONFORMER','LSTM','GRU']}
   ]},
-  {id:'Puzzle 7', groups:[
+  {id:'Puzzle 7', title:'Fruit and Veg', collection:'Languages', tags:['translation', 'russian', 'food'], difficulty:'medium', groups:[
     {category:'MEANS "POTATO" (FR/DE/RU/ES)', color:'purple', words:['POMME DE TERRE','KARTOFFEL','КАРТОФЕЛЬ','PATATA']},
     {category:'MEANS "ORANGE" (FR/DE/RU/ES)', color:'blue', words:['ORANGE','APFELSINE','АПЕЛЬСИН','NARANJA']},
     {category:'MEANS "STRAWBERRY" (FR/DE/RU/ES)', color:'green', words:['FRAISE','ERDBEERE','КЛУБНИКА','FRESA']},
     {category:'MEANS "LEMON" (FR/DE/RU/ES)', color:'yellow', words:['CITRON','ZITRONE','ЛИМОН','LIMÓN']}
   ]},
-  {id:'Puzzle 8', groups:[
+  {id:'Puzzle 8', title:'How Languages Work', collection:'Linguistics', tags:['phonology', 'typology', 'writing'], difficulty:'hard', groups:[
     {category:'PHONOLOGICAL PROCESSES', color:'purple', words:['ASSIMI-LATION','DISSIMI-LATION','EPEN-THESIS','META-THESIS']},
     {category:'LINGUISTIC TYPOLOGY', color:'blue', words:['AGGLUTI-NATIVE','FUSIONAL','ISOLATING','POLY-SYNTHETIC']},
     {category:'WRITING SYSTEMS', color:'green', words:['ABJAD','ABUGIDA','SYLLABARY','LOGOGRAPHIC']},
     {category:'SPEECH ERRORS', color:'yellow', words:['SPOON-ERISM','MALA-PROPISM','EGGCORN','MONDEGREEN']}
   ]},
-  {id:'Puzzle 9', groups:[
+  {id:'Puzzle 9', title:'Training Speech Models', collection:'Speech ML', tags:['asr', 'tts', 'datasets'], difficulty:'hard', groups:[
     {category:'LOSS FUNCTIONS IN ASR/TTS', color:'purple', words:['CTC','TRANS-DUCER','ATTENTION','FOCAL']},
     {category:'DATA AUGMENTATION METHODS', color:'blue', words:['SPEC-AUGMENT','MIXUP','SPEED','VOLUME']},
-    {category:'SPEECH CORPORA', color:'green', words:['LIBRI-SPEECH','COMMON-VOICE','VCTK','LJSPEECH']},
+    {category:'SPEECH CORPORA', color:'green', words:['LIBRI-SPEECH','COMMON-VOICE','VCTK','LJSPEECH'],
+      explanation:'Public speech datasets used to train and test recognition and synthesis models.',
+      notes:{'LIBRI-SPEECH':'About 1,000 hours of English audiobooks read for LibriVox', 'COMMON-VOICE':'Mozilla’s crowd-sourced recordings in over 100 languages', VCTK:'About 110 English speakers with a range of accents', LJSPEECH:'24 hours of one speaker reading, a classic text-to-speech set'}},
     {category:'EVALUATION METRICS', color:'yellow', words:['WER','MOS','BLEU','PESQ']}
   ]},
-  {id:'Puzzle 10', groups:[
+  {id:'Puzzle 10', title:'Speech Synthesis', collection:'Speech ML', tags:['tts', 'deep learning'], difficulty:'hard', groups:[
     {category:'NEURAL VOCODERS', color:'purple', words:['HIFIGAN','MELGAN','WAVEGLOW','PARALLEL-WAVEGAN']},
     {category:'END-TO-END TTS MODELS', color:'blue', words:['TACOTRON','FASTSPEECH','VITS','GLOWTTS']},
     {category:'SELF-SUPERVISED SPEECH MODELS', color:'green', words:['WAV2VEC','HUBERT','WAVLM','W2V-BERT']},
     {category:'SPEECH SYNTHESIS FEATURES', color:'yellow', words:['PROSODY','SPEAKER','STYLE','EMOTION']}
   ]},
-  {id:'Puzzle 11', groups:[
-    {category:'HOMOPHONES OF NUMBERS', color:'yellow', words:['WON','TOO','FOR','ATE']},
-    {category:'WORDS ENDING IN -OUGH', color:'green', words:['THROUGH','THOUGH','ROUGH','COUGH']},
+  {id:'Puzzle 11', title:'English Spelling', collection:'Linguistics', tags:['english', 'phonetics'], difficulty:'easy', groups:[
+    {category:'WORDS WITH SILENT LETTERS', color:'purple', words:['KNIGHT','WRITE','THUMB','LAMB']},
     {category:'SAME /U:/ VOWEL SOUND', color:'blue', words:['BLUE','TRUE','CREW','SHOE']},
-    {category:'WORDS WITH SILENT LETTERS', color:'purple', words:['KNIGHT','WRITE','THUMB','LAMB']}
+    {category:'WORDS ENDING IN -OUGH', color:'green', words:['THROUGH','THOUGH','ROUGH','COUGH']},
+    {category:'HOMOPHONES OF NUMBERS', color:'yellow', words:['WON','TOO','FOR','ATE']}
   ]},
-  {id:'Puzzle 12', groups:[
+  {id:'Puzzle 12', title:'Canadiana', collection:'Canadian Slang', tags:['canada', 'slang', 'food'], difficulty:'medium', groups:[
     {category:'CANADIAN WORDS FOR EVERYDAY ITEMS', color:'purple', words:['PARKADE','SERVIETTE','RUNNERS','TOQUE']},
     {category:'CANADIAN SLANG & EXPRESSIONS', color:'blue', words:['HOSER','KEENER','EH','ZED']},
     {category:'CANADIAN MONEY & QUANTITIES', color:'green', words:['MICKEY','TWO-FOUR','LOONIE','TOONIE']},
@@ -740,6 +3470,15 @@ const SAMPLES = [
   ]},
 ];
 
+// Embedded pack wrapping SAMPLES, used when no other pack is requested or one fails to load
+const DEFAULT_PACK = {
+  format: PACK_FORMAT,
+  version: PACK_VERSION,
+  id: 'default',
+  title: 'Laura\'s Connections',
+  puzzles: SAMPLES
+};
+
 /**
  * Export functions and constants for testing
  * Used by test.html to access internal functions without polluting global scope
@@ -750,24 +3489,105 @@ window.getTestExports = function() {
     COLOR_MAP,
     COLOR_EMOJI,
     COLOR_REVERSE,
+    COLOR_ORDER,
     shuffle,
     escapeHtml,
     normalizePuzzle,
     statusSymbol,
     state,
     MAX_MISTAKES,
-    SAMPLES
+    SAMPLES,
+    DEFAULT_PACK,
+    PackError,
+    validatePack,
+    parsePack,
+    storageKey,
+    lintDraftPuzzle,
+    draftToPack,
+    packToDraft,
+    emptyDraftPuzzle,
+    resizeDraftPuzzle,
+    hashString,
+    sharePayload,
+    encodePuzzle,
+    decodePuzzle,
+    sharedStorageKey,
+    parseRoute,
+    computeStats,
+    statusFromSave,
+    libraryEntries,
+    matchesLibrary,
+    sortLibrary,
+    libraryCollections,
+    libraryTags,
+    difficultyDots,
+    libraryView,
+    createBackup,
+    parseBackup,
+    planImport,
+    saveLabel,
+    SAVE_VERSION,
+    puzzleHash,
+    migrateSave,
+    recoverSave,
+    createGame,
+    submitGuess,
+    serializeGame,
+    restoreGame,
+    replayFrames,
+    formatDuration,
+    tickGame,
+    timeLeft,
+    loadSettings,
+    settings,
+    DEFAULT_SETTINGS,
+    boardRows,
+    groupBar,
+    groupDetails,
+    detailsHtml,
+    guessHistory,
+    confusedWords,
+    hintText,
+    resultRows,
+    resultGuesses,
+    resultsSummary,
+    resultsText,
+    resultsFileName,
+    mistakesLabel,
+    rulesSummary,
+    parseDay,
+    scheduleDay,
+    isReleased,
+    releaseDate,
+    msUntilNextRelease,
+    dailyStreak,
+    formatCountdown,
+    dailyStatus,
+    DEFAULT_PRESENTATION,
+    presentation,
+    presentationText,
+    introArt,
+    validatePresentation,
+    playerRules,
+    SETTINGS_KEY,
+    LOCALES,
+    MESSAGES,
+    pickLocale,
+    setLocale,
+    t,
+    formatNumber,
+    formatDate,
+    translatePage,
+    copyText
   };
 };
 
 /**
  * Initialize the game when DOM is ready
- * Sets up event handlers, loads first puzzle, and configures keyboard shortcuts
+ * Sets up event handlers, loads the puzzle pack, and configures keyboard shortcuts
  * Only runs when game DOM elements are present (not in test environment)
  */
 function initializeGame() {
-  allPuzzles = SAMPLES;
-
   // Event handlers
   $('#submitBtn').onclick = submit;
   $('#deselectBtn').onclick = deselectAll;
@@ -775,21 +3595,100 @@ function initializeGame() {
     shuffleBoard();
     saveSilently();
   };
+  $('#arrangeBtn').onclick = arrangeSelected;
   $('#resetBtn').onclick = resetPuzzle;
-  $('#homeBtn').onclick = showHome;
-  $('#resultsBtn2').onclick = showResults;
+  $('#homeBtn').onclick = () => navigate(playMode === 'playtest' ? '#/create' : '#/puzzles');
+  $('#resultsBtn2').onclick = () => navigate(`${loadedRoute}/results`);
   $('#copyResultsBtn').onclick = copyResults;
-  $('#backToGameBtn').onclick = showGame;
-  $('#startBtn').onclick = showHome;
-  $('#logo').onclick = showIntro;
+  $('#shareResultsBtn').onclick = shareResults;
+  $('#saveImageBtn').onclick = saveResultsImage;
+  $('#fallbackImageBtn').onclick = saveResultsImage;
+  $('#fallbackCloseBtn').onclick = () => $('#shareFallback').hidden = true;
+  $('#backToGameBtn').onclick = () => navigate(loadedRoute);
+  $('#startBtn').onclick = () => navigate('#/puzzles');
+  $('#todayBtn').onclick = () => navigate(`#/puzzle/${scheduleDay() + 1}`);
+  $('#logo').onclick = () => navigate('#/');
+  $('#openPackBtn').onclick = () => $('#packFile').click();
+  $('#errorOpenPackBtn').onclick = () => $('#packFile').click();
+  $('#packFile').onchange = onPackFileChosen;
+  $('#useDefaultPackBtn').onclick = useDefaultPack;
+  $('#createBtn').onclick = () => navigate('#/create');
+  $('#librarySearch').oninput = e => updateLibrary({query: e.target.value});
+  $('#libraryStatus').onchange = e => updateLibrary({status: e.target.value});
+  $('#libraryTag').onchange = e => updateLibrary({tag: e.target.value});
+  $('#librarySort').onchange = e => updateLibrary({sort: e.target.value});
+  $('#libraryClearBtn').onclick = () => updateLibrary({query: '', status: 'all', tag: ''});
+  $('#statsBtn').onclick = () => navigate('#/stats');
+  $('#exportBackupBtn').onclick = exportBackup;
+  $('#importBackupBtn').onclick = () => $('#backupFile').click();
+  $('#backupFile').onchange = onBackupFileChosen;
+  $$('input[name="importMode"]').forEach(r => r.onchange = renderImportPreview);
+  $('#applyImportBtn').onclick = applyImport;
+  $('#cancelImportBtn').onclick = cancelImport;
+  $('#createScreen').addEventListener('input', onDraftInput);
+  $('#draftTitle').oninput = e => {
+    draft.title = e.target.value;
+    saveDraft();
+  };
+  $('#draftPuzzle').onchange = e => {
+    draftIndex = Number(e.target.value);
+    renderCreate();
+  };
+  $('#draftGroupCount').onchange = onDraftShape;
+  $('#draftGroupSize').onchange = onDraftShape;
+  $('#draftAddBtn').onclick = addDraftPuzzle;
+  $('#draftDeleteBtn').onclick = deleteDraftPuzzle;
+  $('#playtestBtn').onclick = playtestDraft;
+  $('#exportDraftBtn').onclick = exportDraft;
+  $('#importDraftBtn').onclick = () => $('#draftFile').click();
+  $('#draftFile').onchange = importDraft;
+  $('#newDraftBtn').onclick = newDraft;
+  $('#shareDraftBtn').onclick = shareDraftPuzzle;
+  $('#sharePuzzleBtn').onclick = shareCurrentPuzzle;
+  $('#replayBtn').onclick = startReplay;
+  $('#learnMoreBtn').onclick = toggleLearnMore;
+  $('#historyBtn').onclick = toggleHistory;
+  $('#settingsBtn').onclick = () => navigate('#/settings');
+  $('#hintBtn').onclick = () => {
+    $('#hintMenu').hidden = !$('#hintMenu').hidden;
+    $('#hintBtn').setAttribute('aria-expanded', String(!$('#hintMenu').hidden));
+  };
+  $$('#hintMenu button').forEach(b => b.onclick = () => takeHint(b.dataset.hint));
+  $('#settingsScreen').addEventListener('change', onSettingsInput);
+  document.addEventListener('visibilitychange', () => document.hidden ? stopClock() : startClock());
+  window.addEventListener('languagechange', () => settings.locale === 'auto' && applyLocale());
+  $('#replayPlayBtn').onclick = () => replay.timer ? pauseReplay() : playReplay();
+  $('#replayFirstBtn').onclick = () => seekReplay(0);
+  $('#replayPrevBtn').onclick = () => seekReplay(replay.index - 1);
+  $('#replayNextBtn').onclick = () => seekReplay(replay.index + 1);
+  $('#replayLastBtn').onclick = () => seekReplay(replay.frames.length - 1);
+  $('#updateBtn').onclick = applyUpdate;
+  $('#updateLaterBtn').onclick = () => $('#updateBar').hidden = true;
+
+  // Back/forward, deep links and links pasted into an open tab all arrive as hash changes
+  window.addEventListener('hashchange', route);
+
+  // Upgrade saves from older versions before anything reads them
+  migrateAllSaves();
+
+  // Show the page in the player's language before the first screen renders
+  applyLocale();
+
+  // Cache the game for offline play and offer updates when a new version is deployed
+  registerServiceWorker();
 
-  // Show intro screen on first load
-  showIntro();
+  // Show the screen for the URL (or the pack error screen) once the pack is loaded
+  loadInitialPack();
 
   // Keyboard shortcuts
+  $('#board').addEventListener('keydown', onBoardKey);
+  // A finger holding or dragging a card moves the card instead of scrolling the page
+  $('#board').addEventListener('touchmove', holdTouch, {passive: false});
+  $('#board').addEventListener('contextmenu', e => drag && e.preventDefault());
   document.addEventListener('keydown', e => {
     if ($('#gameScreen').hidden) return;
-    if (e.key === 'Enter') submit();
+    // Let Enter activate whichever button or field has focus
+    if (e.key === 'Enter' && !e.target.closest('button, input, select, textarea, a')) submit();
     if (e.key === 'Escape') deselectAll();
   });
 }
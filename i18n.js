@@ -0,0 +1,1369 @@
+/*
+ * Interface text in every supported language, and helpers to pick a language and format text,
+ * numbers and dates in it. No DOM access: index.html and test.html load it as a classic script
+ * before game.js. Puzzle content (words, categories, pack greetings) is never translated.
+ */
+
+// Languages with a message catalog, by code, each named in its own language for the settings menu
+const LOCALES = {en: 'English', fr: 'Français', de: 'Deutsch', es: 'Español'};
+
+// Language whose catalog is complete; any message missing from another catalog comes from here
+const FALLBACK_LOCALE = 'en';
+
+// Message catalogs. {placeholders} are filled from the params passed to t(); a message given as
+// {one, other, ...} is a plural, picked by params.count with the language's plural rules
+const MESSAGES = {
+  en: {
+    'nav.puzzles': '📋 Puzzles',
+    'nav.editor': '✏️ Editor',
+    'nav.reset': '🔄 Reset',
+    'logo.create': '🔗 Create a Puzzle',
+    'logo.stats': '🔗 Statistics',
+    'logo.settings': '🔗 Settings',
+    'logo.playtest': '🔗 Play-test',
+    'logo.shared': '🔗 Shared Puzzle',
+
+    'intro.label': 'Welcome screen',
+    'intro.title': '{name}\'s Connections',
+    'intro.greeting': 'Merry Christmas, {name}!',
+    'intro.message': 'I hope you enjoy these puzzles!',
+    'intro.start': '{emoji} Start Puzzles',
+    'intro.today': '📅 Today\'s Puzzle #{number}',
+
+    'home.label': 'Puzzle selector',
+    'home.heading': 'Select a puzzle',
+    'home.byAuthor': 'by {author}',
+    'home.openPack': '📂 Open Pack',
+    'home.create': '✏️ Create',
+    'home.stats': '📈 Statistics',
+    'home.settings': '⚙️ Settings',
+    'legend.unsolved': '⬜ Unsolved',
+    'legend.solved': '✅ Solved',
+    'legend.failed': '✖️ Failed',
+    'legend.locked': '🔒 Not out yet',
+    'legend.inProgress': '⏸️ In progress',
+    'status.unsolved': 'unsolved',
+    'status.solved': 'solved',
+    'status.failed': 'failed',
+    'status.inProgress': 'in progress',
+    'library.search': 'Search titles, categories and tags',
+    'library.status': 'Show puzzles',
+    'library.allStatuses': 'All puzzles',
+    'library.tag': 'Tag',
+    'library.allTags': 'All tags',
+    'library.sortLabel': 'Sort puzzles',
+    'library.sort.number': 'Sort by number',
+    'library.sort.title': 'Sort by title',
+    'library.sort.difficulty': 'Sort by difficulty',
+    'library.sort.status': 'Sort by status',
+    'library.solvedCount': '{solved}/{total} solved',
+    'library.empty': 'No puzzles match.',
+    'library.clear': 'Clear filters',
+    'difficulty.easy': 'easy',
+    'difficulty.medium': 'medium',
+    'difficulty.hard': 'hard',
+    'tile.label': 'Puzzle {number}, {status}',
+    'tile.today': 'Puzzle {number}, {status}, today\'s puzzle',
+    'tile.locked': 'Puzzle {number}, unlocks on {date}',
+    'route.noPuzzle': 'There is no puzzle {number}',
+    'route.locked': '🔒 Puzzle {number} unlocks on {date}',
+
+    'daily.first': 'First puzzle in {time}',
+    'daily.next': 'Next puzzle in {time}',
+    'daily.allOut': {one: 'The puzzle is out', other: 'All {count} puzzles are out'},
+    'daily.streak': '🔥 Daily streak: {count}',
+    'daily.countdown': '{days}d {time}',
+
+    'game.board': 'Puzzle words',
+    'game.boardHelp': 'Arrow keys move between words, Shift with an arrow key moves the word itself, Space selects, typing letters jumps to a word, Enter submits and Escape clears the selection.',
+    'game.congrats': '🎉 Awesome! 🎉',
+    'game.congratsText': 'You solved the puzzle!',
+    'game.failure': '😔 Better luck next time!',
+    'game.failureMistakes': 'You\'ve reached the maximum mistakes.',
+    'game.failureTime': 'You ran out of time.',
+    'game.showResults': '📊 Show Results',
+    'game.mistakes': 'Mistakes:',
+    'game.time': 'Time',
+    'game.rules': 'Rules:',
+    'game.puzzle': 'Puzzle:',
+    'game.actions': 'Actions',
+    'game.submit': '✅ Submit',
+    'game.deselect': '🙅 Deselect',
+    'game.shuffle': '🔀 Shuffle',
+    'game.arrange': '⬆️ To top',
+    'game.arrangeLabel': 'Move the selected words to the top row',
+    'game.solvedGroup': 'Solved group {category}: {words}',
+    'game.why': 'ℹ️ Why?',
+
+    'toast.finished': 'Puzzle is finished.',
+    'toast.maxWords': 'Maximum {count} words',
+    'toast.pickExactly': 'Pick exactly {count}',
+    'toast.repeat': 'Already tried that...',
+    'toast.solved': '🎉 Solved!',
+    'toast.correct': '✅ Correct',
+    'toast.maxMistakes': '💥 Max mistakes reached — revealing solution',
+    'toast.outOfOrder': '🔒 Not yet — solve the easiest color first',
+    'toast.oneAway': 'One away...',
+    'toast.notGroup': '❌ Not a group',
+    'toast.noShuffle': '🚫 Shuffling is off for this game',
+    'toast.selectFirst': 'Select some words first',
+    'toast.timeUp': '⏰ Time\'s up — revealing solution',
+    'toast.updated': 'ℹ️ This puzzle was updated, so your progress was adjusted',
+    'toast.reset': '🔄 Puzzle reset!',
+    'toast.packLoaded': '📂 Loaded {name}',
+    'toast.copied': '📋 Copied to clipboard!',
+    'toast.copyFailed': 'Failed to copy',
+    'toast.linkCopied': '🔗 Puzzle link copied!',
+    'update.available': '✨ A new version of the game is ready',
+    'update.reload': 'Update now',
+    'update.later': 'Later',
+
+    'announce.selected': '{word} selected, {count} of {size}',
+    'announce.deselected': '{word} deselected, {count} of {size}',
+    'announce.correct': {one: 'Correct: {category}. {count} word left', other: 'Correct: {category}. {count} words left'},
+    'announce.oneAway': 'One away',
+    'announce.notGroup': 'Not a group',
+    'announce.notNext': 'Not the next group',
+    'announce.left': {one: '{message}. {count} mistake left', other: '{message}. {count} mistakes left'},
+    'announce.soFar': {one: '{message}. {count} mistake so far', other: '{message}. {count} mistakes so far'},
+    'announce.cleared': 'Selection cleared',
+    'announce.moved': '{word} moved to row {row}, column {column}',
+    'announce.raised': {one: '{count} selected word moved to the top', other: '{count} selected words moved to the top'},
+
+    'rules.hard': 'Hard',
+    'rules.unlimited': 'Unlimited mistakes',
+    'rules.mistakes': {one: '{count} mistake', other: '{count} mistakes'},
+    'rules.noShuffle': 'No shuffle',
+
+    'color.yellow': 'yellow',
+    'color.green': 'green',
+    'color.blue': 'blue',
+    'color.purple': 'purple',
+    'color.orange': 'orange',
+    'color.red': 'red',
+
+    'hint.button': '💡 Hint',
+    'hint.left': '💡 Hint ({count} left)',
+    'hint.costly': '💡 Hint (costs a mistake)',
+    'hint.costNote': '(cost a mistake)',
+    'hint.menuWord': 'Reveal a word\'s group',
+    'hint.menuCategory': 'Reveal a category',
+    'hint.menuPair': 'Show two that belong together',
+    'hint.word': '{word} is in the {color} group',
+    'hint.category': 'The {color} group is {category}',
+    'hint.pair': '{first} and {second} belong together',
+    'hint.noneLeft': 'No hints left',
+    'hint.nothing': 'Nothing left to reveal',
+
+    'results.heading': 'Results',
+    'results.none': 'No guesses recorded',
+    'results.hintsUsed': {one: '💡 {count} hint used', other: '💡 {count} hints used'},
+    'results.rules': '📏 Rules: {rules}',
+    'results.copy': '📋 Copy Results',
+    'results.shareResults': '📤 Share Results',
+    'results.saveImage': '🖼️ Save Image',
+    'results.fallback': 'This browser can\'t copy or share from here. Select the text below to copy it, or download the image.',
+    'results.fallbackLabel': 'Results text',
+    'results.download': '⬇️ Download Image',
+    'results.close': 'Close',
+    'results.noImage': 'This browser can\'t make images',
+    'results.share': '🔗 Share Puzzle',
+    'results.replay': '🎬 Replay',
+    'results.learnMore': '📖 Learn More',
+    'results.learnMoreHeading': 'About the groups',
+    'results.history': '🔎 Guess Details',
+    'results.back': '← Back to Puzzle',
+
+    'share.playtest': 'Connections Play-test',
+    'share.shared': 'Connections: {id}',
+    'share.solved': 'Solved! ✅',
+    'share.timedOut': 'Out of time ⏰',
+    'share.failed': 'Failed ❌',
+    'share.mistakes': 'Mistakes: {mistakes}',
+    'share.rules': 'Rules: {rules}',
+    'share.time': 'Time: {time}',
+    'share.timeOf': 'Time: {time} of {limit}',
+    'share.hints': 'Hints: {count} 💡',
+
+    'replay.board': 'Replay board',
+    'history.heading': 'Your guesses',
+    'history.correct': '✅ Correct',
+    'history.oneAway': '🤏 One away',
+    'history.wrong': '❌ Wrong',
+    'history.outOfOrder': '🔒 Not yet',
+    'history.confused': 'Most confused words',
+    'history.misplaced': {one: 'put in the wrong group once', other: 'put in the wrong group {count} times'},
+    'history.noConfusion': 'No word was put in the wrong group.',
+    'replay.solved': '🎉 Solved!',
+    'replay.failed': '💥 Out of mistakes — solution revealed',
+    'replay.timedOut': '⏰ Out of time — solution revealed',
+    'replay.inProgress': 'Game still in progress',
+    'replay.start': 'Starting board',
+    'replay.oneAway': '🤏 One away...',
+    'replay.wrong': '❌ Not a group',
+    'replay.guess': 'Guess {number}/{total}: {outcome}',
+    'replay.mistakes': 'Mistakes: {mistakes}',
+    'replay.play': '▶ Play',
+    'replay.pause': '⏸ Pause',
+    'replay.first': 'First step',
+    'replay.prev': 'Previous step',
+    'replay.next': 'Next step',
+    'replay.last': 'Last step',
+
+    'stats.heading': 'Statistics',
+    'stats.played': 'Played',
+    'stats.solveRate': 'Solve %',
+    'stats.currentStreak': 'Current Streak',
+    'stats.maxStreak': 'Max Streak',
+    'stats.mistakes': 'Mistakes per solve',
+    'stats.avgGuesses': '{count} guesses per solve on average',
+    'stats.noSolves': 'No solved puzzles yet',
+    'stats.first': 'Solved first',
+    'stats.last': 'Solved last',
+
+    'backup.heading': 'Backup',
+    'backup.export': '💾 Export Progress',
+    'backup.import': '📥 Import Progress',
+    'backup.merge': 'Merge (keep puzzles not in the backup)',
+    'backup.replace': 'Replace (delete puzzles not in the backup)',
+    'backup.puzzle': 'Puzzle',
+    'backup.now': 'Now',
+    'backup.backup': 'Backup',
+    'backup.action': 'Action',
+    'backup.apply': '📥 Import',
+    'backup.cancel': 'Cancel',
+    'backup.add': '➕ new',
+    'backup.overwrite': '⚠️ overwrite',
+    'backup.same': 'unchanged',
+    'backup.delete': '🗑️ delete',
+    'backup.empty': 'The backup has no puzzles',
+    'backup.skipped': 'Skipped {entry}',
+    'backup.shared': 'Shared: {id}',
+    'backup.nothing': 'Nothing to back up yet',
+    'backup.notSaveKey': 'not a puzzle save key',
+    'backup.notObject': 'not an object',
+    'backup.badMistakes': '"mistakes" must be a whole number',
+    'backup.notArray': '"{field}" must be an array',
+    'backup.exported': {one: '💾 Exported {count} puzzle', other: '💾 Exported {count} puzzles'},
+    'backup.imported': {one: '📥 Imported {count} puzzle', other: '📥 Imported {count} puzzles'},
+
+    'settings.label': 'Settings',
+    'settings.heading': 'Settings',
+    'settings.language': '🌐 Language',
+    'settings.languageAuto': 'Browser default',
+    'settings.timed': '⏳ Timed mode',
+    'settings.timeLimit': 'Time limit',
+    'settings.minutes': {one: '{count} minute', other: '{count} minutes'},
+    'settings.timedHelp': 'Puzzles you start (or reset) get a countdown; running out of time ends the game like running out of mistakes. Games already started keep their own clock.',
+    'settings.hints': '💡 Hints',
+    'settings.hintsOff': 'Off',
+    'settings.hintsBudget': '{count} free hints per puzzle',
+    'settings.hintsMistake': 'Each hint costs a mistake',
+    'settings.hintsHelp': 'Hints reveal which group a word is in, a group\'s category, or two words that belong together. Results show 💡 on guesses made after a hint.',
+    'settings.maxMistakes': '❌ Mistakes allowed',
+    'settings.unlimited': 'Unlimited (practice)',
+    'settings.hardMode': '🔥 Hard mode',
+    'settings.noShuffle': '🚫 No shuffle',
+    'settings.rulesHelp': 'Hard mode never says "One away" and makes you solve the groups in color order, easiest first. Rules apply to puzzles you start (or reset), unless a puzzle sets its own, and are shown with your results.',
+    'settings.keepTileOrder': '🧩 Keep tile order in results',
+    'settings.keepTileOrderHelp': 'Show each guess\'s colors in the order you picked the words instead of grouped by color, on screen and in copied or shared results.',
+
+    'create.label': 'Create a puzzle',
+    'create.heading': 'Create a puzzle',
+    'create.packTitle': 'Pack title',
+    'create.puzzleSelect': 'Puzzle being edited',
+    'create.add': '➕ Add',
+    'create.delete': '🗑️ Delete',
+    'create.puzzleId': 'Puzzle id',
+    'create.puzzleTitle': 'Title (optional)',
+    'create.puzzleTitleLabel': 'Puzzle title',
+    'create.collection': 'Collection (optional)',
+    'create.collectionLabel': 'Collection',
+    'create.tags': 'Tags, separated by commas',
+    'create.tagsLabel': 'Tags',
+    'create.difficulty': 'Difficulty',
+    'create.noDifficulty': 'No difficulty',
+    'create.untitled': 'Puzzle {number}',
+    'create.group': 'Group {number}',
+    'create.category': 'Category',
+    'create.groupCategory': 'Group {number} category',
+    'create.groupColor': 'Group {number} color',
+    'create.noColor': '— color —',
+    'create.word': 'Word {number}',
+    'create.groupWord': 'Group {number} word {word}',
+    'create.explanation': 'Explanation, shown once solved (optional)',
+    'create.groupExplanation': 'Group {number} explanation',
+    'create.groupCount': 'Groups',
+    'create.groupSize': 'Words per group',
+    'create.playtest': '▶ Play-test',
+    'create.copyLink': '🔗 Copy Link',
+    'create.export': '💾 Export Pack',
+    'create.import': '📥 Import Pack',
+    'create.new': '🧹 New Pack',
+    'create.ready': '✅ Ready to play',
+    'lint.noId': 'Puzzle id is empty',
+    'lint.duplicateId': 'Another puzzle already uses the id "{id}"',
+    'lint.noCategory': 'Group {number} has no category',
+    'lint.noColor': 'Group {number} has no color',
+    'lint.emptyWord': 'Group {number}, word {position} is empty',
+    'lint.copySuffix': '"{word}" may not end in # and a number',
+    'lint.tooLong': '"{word}" is too long for a tile (renders at {size}px)',
+    'lint.repeated': '"{word}" appears more than once in a group',
+    'lint.shared': '"{word}" is in {count} groups (each copy is its own tile)',
+    'lint.colorReused': '{emoji} {color} is used by {count} groups',
+    'create.fixFirst': 'Fix the errors first',
+    'create.fixIn': 'Fix the errors in {id} first',
+    'create.exported': '💾 Pack exported',
+    'create.imported': '📥 Imported {title}',
+    'create.confirmDelete': 'Delete "{id}" from this pack?',
+    'create.confirmShape': 'The smaller shape drops words you already filled in. Continue?',
+    'create.confirmNew': 'Discard this pack and start over?',
+
+    'error.label': 'Puzzle pack error',
+    'error.heading': '😕 Couldn\'t load puzzles',
+    'error.useDefault': '🎄 Use Default Puzzles',
+    'error.notJson': '{source} is not valid JSON',
+    'error.notPack': '{source} is not a valid puzzle pack',
+    'error.download': 'Could not download {url}',
+    'error.brokenLink': 'This puzzle link is broken',
+    'error.noDecompress': 'This browser cannot open compressed puzzle links',
+    'error.notBackup': '{source} is not a Connections backup',
+    'error.newerBackup': '{source} was made by a newer version of the game',
+    'error.openFile': '📂 Open Pack File'
+  },
+
+  fr: {
+    'nav.puzzles': '📋 Grilles',
+    'nav.editor': '✏️ Éditeur',
+    'nav.reset': '🔄 Recommencer',
+    'logo.create': '🔗 Créer une grille',
+    'logo.stats': '🔗 Statistiques',
+    'logo.settings': '🔗 Réglages',
+    'logo.playtest': '🔗 Essai',
+    'logo.shared': '🔗 Grille partagée',
+
+    'intro.label': 'Écran d\'accueil',
+    'intro.title': 'Les Connexions de {name}',
+    'intro.greeting': 'Joyeux Noël, {name} !',
+    'intro.message': 'J\'espère que ces grilles te plairont !',
+    'intro.start': '{emoji} Commencer',
+    'intro.today': '📅 Grille du jour n° {number}',
+
+    'home.label': 'Choix de la grille',
+    'home.heading': 'Choisis une grille',
+    'home.byAuthor': 'par {author}',
+    'home.openPack': '📂 Ouvrir un pack',
+    'home.create': '✏️ Créer',
+    'home.stats': '📈 Statistiques',
+    'home.settings': '⚙️ Réglages',
+    'legend.unsolved': '⬜ À résoudre',
+    'legend.solved': '✅ Résolue',
+    'legend.failed': '✖️ Ratée',
+    'legend.locked': '🔒 Pas encore sortie',
+    'legend.inProgress': '⏸️ En cours',
+    'status.unsolved': 'à résoudre',
+    'status.solved': 'résolue',
+    'status.failed': 'ratée',
+    'status.inProgress': 'en cours',
+    'library.search': 'Chercher dans les titres, catégories et étiquettes',
+    'library.status': 'Grilles à afficher',
+    'library.allStatuses': 'Toutes les grilles',
+    'library.tag': 'Étiquette',
+    'library.allTags': 'Toutes les étiquettes',
+    'library.sortLabel': 'Trier les grilles',
+    'library.sort.number': 'Trier par numéro',
+    'library.sort.title': 'Trier par titre',
+    'library.sort.difficulty': 'Trier par difficulté',
+    'library.sort.status': 'Trier par état',
+    'library.solvedCount': '{solved}/{total} résolues',
+    'library.empty': 'Aucune grille ne correspond.',
+    'library.clear': 'Effacer les filtres',
+    'difficulty.easy': 'facile',
+    'difficulty.medium': 'moyenne',
+    'difficulty.hard': 'difficile',
+    'tile.label': 'Grille {number}, {status}',
+    'tile.today': 'Grille {number}, {status}, grille du jour',
+    'tile.locked': 'Grille {number}, disponible le {date}',
+    'route.noPuzzle': 'Il n\'y a pas de grille {number}',
+    'route.locked': '🔒 La grille {number} sera disponible le {date}',
+
+    'daily.first': 'Première grille dans {time}',
+    'daily.next': 'Prochaine grille dans {time}',
+    'daily.allOut': {one: 'La grille est sortie', other: 'Les {count} grilles sont sorties'},
+    'daily.streak': '🔥 Série quotidienne : {count}',
+    'daily.countdown': '{days} j {time}',
+
+    'game.board': 'Mots de la grille',
+    'game.boardHelp': 'Les flèches passent d\'un mot à l\'autre, Maj avec une flèche déplace le mot lui-même, Espace sélectionne, taper des lettres va au mot correspondant, Entrée valide et Échap efface la sélection.',
+    'game.congrats': '🎉 Bravo ! 🎉',
+    'game.congratsText': 'Tu as résolu la grille !',
+    'game.failure': '😔 Ce sera pour la prochaine fois !',
+    'game.failureMistakes': 'Tu as atteint le nombre maximum d\'erreurs.',
+    'game.failureTime': 'Le temps est écoulé.',
+    'game.showResults': '📊 Voir les résultats',
+    'game.mistakes': 'Erreurs :',
+    'game.time': 'Temps',
+    'game.rules': 'Règles :',
+    'game.puzzle': 'Grille :',
+    'game.actions': 'Actions',
+    'game.submit': '✅ Valider',
+    'game.deselect': '🙅 Désélectionner',
+    'game.shuffle': '🔀 Mélanger',
+    'game.arrange': '⬆️ En haut',
+    'game.arrangeLabel': 'Placer les mots sélectionnés sur la première ligne',
+    'game.solvedGroup': 'Groupe trouvé {category} : {words}',
+    'game.why': 'ℹ️ Pourquoi ?',
+
+    'toast.finished': 'La grille est terminée.',
+    'toast.maxWords': '{count} mots maximum',
+    'toast.pickExactly': 'Choisis exactement {count} mots',
+    'toast.repeat': 'Déjà essayé…',
+    'toast.solved': '🎉 Résolue !',
+    'toast.correct': '✅ Correct',
+    'toast.maxMistakes': '💥 Trop d\'erreurs — voici la solution',
+    'toast.outOfOrder': '🔒 Pas encore — résous d\'abord la couleur la plus facile',
+    'toast.oneAway': 'À un mot près…',
+    'toast.notGroup': '❌ Ce n\'est pas un groupe',
+    'toast.noShuffle': '🚫 Le mélange est désactivé pour cette partie',
+    'toast.selectFirst': 'Sélectionne d\'abord des mots',
+    'toast.timeUp': '⏰ Temps écoulé — voici la solution',
+    'toast.updated': 'ℹ️ Cette grille a été modifiée, ta progression a été ajustée',
+    'toast.reset': '🔄 Grille réinitialisée !',
+    'toast.packLoaded': '📂 {name} chargé',
+    'toast.copied': '📋 Copié dans le presse-papiers !',
+    'toast.copyFailed': 'Échec de la copie',
+    'toast.linkCopied': '🔗 Lien de la grille copié !',
+    'update.available': '✨ Une nouvelle version du jeu est prête',
+    'update.reload': 'Mettre à jour',
+    'update.later': 'Plus tard',
+
+    'announce.selected': '{word} sélectionné, {count} sur {size}',
+    'announce.deselected': '{word} désélectionné, {count} sur {size}',
+    'announce.correct': {one: 'Correct : {category}. Il reste {count} mot', other: 'Correct : {category}. Il reste {count} mots'},
+    'announce.oneAway': 'À un mot près',
+    'announce.notGroup': 'Ce n\'est pas un groupe',
+    'announce.notNext': 'Ce n\'est pas le groupe suivant',
+    'announce.left': {one: '{message}. Encore {count} erreur permise', other: '{message}. Encore {count} erreurs permises'},
+    'announce.soFar': {one: '{message}. {count} erreur jusqu\'ici', other: '{message}. {count} erreurs jusqu\'ici'},
+    'announce.cleared': 'Sélection effacée',
+    'announce.moved': '{word} déplacé en ligne {row}, colonne {column}',
+    'announce.raised': {one: '{count} mot sélectionné placé en haut', other: '{count} mots sélectionnés placés en haut'},
+
+    'rules.hard': 'Difficile',
+    'rules.unlimited': 'Erreurs illimitées',
+    'rules.mistakes': {one: '{count} erreur', other: '{count} erreurs'},
+    'rules.noShuffle': 'Sans mélange',
+
+    'color.yellow': 'jaune',
+    'color.green': 'vert',
+    'color.blue': 'bleu',
+    'color.purple': 'violet',
+    'color.orange': 'orange',
+    'color.red': 'rouge',
+
+    'hint.button': '💡 Indice',
+    'hint.left': '💡 Indice (il en reste {count})',
+    'hint.costly': '💡 Indice (coûte une erreur)',
+    'hint.costNote': '(a coûté une erreur)',
+    'hint.menuWord': 'Révéler le groupe d\'un mot',
+    'hint.menuCategory': 'Révéler une catégorie',
+    'hint.menuPair': 'Montrer deux mots qui vont ensemble',
+    'hint.word': '{word} est dans le groupe {color}',
+    'hint.category': 'Le groupe {color} est {category}',
+    'hint.pair': '{first} et {second} vont ensemble',
+    'hint.noneLeft': 'Plus d\'indices',
+    'hint.nothing': 'Plus rien à révéler',
+
+    'results.heading': 'Résultats',
+    'results.none': 'Aucune tentative enregistrée',
+    'results.hintsUsed': {one: '💡 {count} indice utilisé', other: '💡 {count} indices utilisés'},
+    'results.rules': '📏 Règles : {rules}',
+    'results.copy': '📋 Copier les résultats',
+    'results.shareResults': '📤 Partager les résultats',
+    'results.saveImage': '🖼️ Enregistrer l\'image',
+    'results.fallback': 'Ce navigateur ne peut ni copier ni partager ici. Sélectionne le texte ci-dessous pour le copier, ou télécharge l\'image.',
+    'results.fallbackLabel': 'Texte des résultats',
+    'results.download': '⬇️ Télécharger l\'image',
+    'results.close': 'Fermer',
+    'results.noImage': 'Ce navigateur ne peut pas créer d\'images',
+    'results.share': '🔗 Partager la grille',
+    'results.replay': '🎬 Revoir',
+    'results.learnMore': '📖 En savoir plus',
+    'results.learnMoreHeading': 'À propos des groupes',
+    'results.history': '🔎 Détail des essais',
+    'results.back': '← Retour à la grille',
+
+    'share.playtest': 'Connexions – essai',
+    'share.shared': 'Connexions : {id}',
+    'share.solved': 'Résolue ! ✅',
+    'share.timedOut': 'Temps écoulé ⏰',
+    'share.failed': 'Ratée ❌',
+    'share.mistakes': 'Erreurs : {mistakes}',
+    'share.rules': 'Règles : {rules}',
+    'share.time': 'Temps : {time}',
+    'share.timeOf': 'Temps : {time} sur {limit}',
+    'share.hints': 'Indices : {count} 💡',
+
+    'replay.board': 'Grille rejouée',
+    'history.heading': 'Tes essais',
+    'history.correct': '✅ Correct',
+    'history.oneAway': '🤏 À un mot près',
+    'history.wrong': '❌ Raté',
+    'history.outOfOrder': '🔒 Pas encore',
+    'history.confused': 'Mots les plus souvent mal placés',
+    'history.misplaced': {one: 'mis dans le mauvais groupe une fois', other: 'mis dans le mauvais groupe {count} fois'},
+    'history.noConfusion': 'Aucun mot n\'a été mis dans le mauvais groupe.',
+    'replay.solved': '🎉 Résolue !',
+    'replay.failed': '💥 Plus d\'erreurs permises — solution révélée',
+    'replay.timedOut': '⏰ Temps écoulé — solution révélée',
+    'replay.inProgress': 'Partie encore en cours',
+    'replay.start': 'Grille de départ',
+    'replay.oneAway': '🤏 À un mot près…',
+    'replay.wrong': '❌ Ce n\'est pas un groupe',
+    'replay.guess': 'Essai {number}/{total} : {outcome}',
+    'replay.mistakes': 'Erreurs : {mistakes}',
+    'replay.play': '▶ Lecture',
+    'replay.pause': '⏸ Pause',
+    'replay.first': 'Première étape',
+    'replay.prev': 'Étape précédente',
+    'replay.next': 'Étape suivante',
+    'replay.last': 'Dernière étape',
+
+    'stats.heading': 'Statistiques',
+    'stats.played': 'Jouées',
+    'stats.solveRate': '% résolues',
+    'stats.currentStreak': 'Série en cours',
+    'stats.maxStreak': 'Meilleure série',
+    'stats.mistakes': 'Erreurs par grille résolue',
+    'stats.avgGuesses': '{count} essais par grille résolue en moyenne',
+    'stats.noSolves': 'Aucune grille résolue pour l\'instant',
+    'stats.first': 'Résolu en premier',
+    'stats.last': 'Résolu en dernier',
+
+    'backup.heading': 'Sauvegarde',
+    'backup.export': '💾 Exporter la progression',
+    'backup.import': '📥 Importer une progression',
+    'backup.merge': 'Fusionner (garder les grilles absentes de la sauvegarde)',
+    'backup.replace': 'Remplacer (supprimer les grilles absentes de la sauvegarde)',
+    'backup.puzzle': 'Grille',
+    'backup.now': 'Actuel',
+    'backup.backup': 'Sauvegarde',
+    'backup.action': 'Action',
+    'backup.apply': '📥 Importer',
+    'backup.cancel': 'Annuler',
+    'backup.add': '➕ nouvelle',
+    'backup.overwrite': '⚠️ remplacée',
+    'backup.same': 'inchangée',
+    'backup.delete': '🗑️ supprimée',
+    'backup.empty': 'La sauvegarde ne contient aucune grille',
+    'backup.skipped': '{entry} ignoré',
+    'backup.shared': 'Partagée : {id}',
+    'backup.nothing': 'Rien à sauvegarder pour l\'instant',
+    'backup.notSaveKey': 'pas une clé de sauvegarde de grille',
+    'backup.notObject': 'pas un objet',
+    'backup.badMistakes': '« mistakes » doit être un nombre entier',
+    'backup.notArray': '« {field} » doit être une liste',
+    'backup.exported': {one: '💾 {count} grille exportée', other: '💾 {count} grilles exportées'},
+    'backup.imported': {one: '📥 {count} grille importée', other: '📥 {count} grilles importées'},
+
+    'settings.label': 'Réglages',
+    'settings.heading': 'Réglages',
+    'settings.language': '🌐 Langue',
+    'settings.languageAuto': 'Langue du navigateur',
+    'settings.timed': '⏳ Mode chrono',
+    'settings.timeLimit': 'Temps limite',
+    'settings.minutes': {one: '{count} minute', other: '{count} minutes'},
+    'settings.timedHelp': 'Les grilles que tu commences (ou recommences) ont un compte à rebours ; quand le temps est écoulé, la partie s\'arrête comme après trop d\'erreurs. Les parties déjà commencées gardent leur propre chrono.',
+    'settings.hints': '💡 Indices',
+    'settings.hintsOff': 'Désactivés',
+    'settings.hintsBudget': '{count} indices gratuits par grille',
+    'settings.hintsMistake': 'Chaque indice coûte une erreur',
+    'settings.hintsHelp': 'Les indices révèlent le groupe d\'un mot, la catégorie d\'un groupe ou deux mots qui vont ensemble. Les résultats affichent 💡 sur les essais faits après un indice.',
+    'settings.maxMistakes': '❌ Erreurs permises',
+    'settings.unlimited': 'Illimitées (entraînement)',
+    'settings.hardMode': '🔥 Mode difficile',
+    'settings.noShuffle': '🚫 Sans mélange',
+    'settings.rulesHelp': 'Le mode difficile ne dit jamais « À un mot près » et impose de résoudre les groupes dans l\'ordre des couleurs, de la plus facile à la plus difficile. Les règles s\'appliquent aux grilles que tu commences (ou recommences), sauf si une grille impose les siennes, et sont indiquées avec tes résultats.',
+    'settings.keepTileOrder': '🧩 Garder l\'ordre des tuiles dans les résultats',
+    'settings.keepTileOrderHelp': 'Affiche les couleurs de chaque essai dans l\'ordre où tu as choisi les mots plutôt que regroupées par couleur, à l\'écran comme dans les résultats copiés ou partagés.',
+
+    'create.label': 'Créer une grille',
+    'create.heading': 'Créer une grille',
+    'create.packTitle': 'Titre du pack',
+    'create.puzzleSelect': 'Grille en cours d\'édition',
+    'create.add': '➕ Ajouter',
+    'create.delete': '🗑️ Supprimer',
+    'create.puzzleId': 'Identifiant de la grille',
+    'create.puzzleTitle': 'Titre (facultatif)',
+    'create.puzzleTitleLabel': 'Titre de la grille',
+    'create.collection': 'Collection (facultative)',
+    'create.collectionLabel': 'Collection',
+    'create.tags': 'Étiquettes, séparées par des virgules',
+    'create.tagsLabel': 'Étiquettes',
+    'create.difficulty': 'Difficulté',
+    'create.noDifficulty': 'Sans difficulté',
+    'create.untitled': 'Grille {number}',
+    'create.group': 'Groupe {number}',
+    'create.category': 'Catégorie',
+    'create.groupCategory': 'Catégorie du groupe {number}',
+    'create.groupColor': 'Couleur du groupe {number}',
+    'create.noColor': '— couleur —',
+    'create.word': 'Mot {number}',
+    'create.groupWord': 'Groupe {number}, mot {word}',
+    'create.explanation': 'Explication, affichée une fois le groupe trouvé (facultatif)',
+    'create.groupExplanation': 'Explication du groupe {number}',
+    'create.groupCount': 'Groupes',
+    'create.groupSize': 'Mots par groupe',
+    'create.playtest': '▶ Essayer',
+    'create.copyLink': '🔗 Copier le lien',
+    'create.export': '💾 Exporter le pack',
+    'create.import': '📥 Importer un pack',
+    'create.new': '🧹 Nouveau pack',
+    'create.ready': '✅ Prête à jouer',
+    'lint.noId': 'L\'identifiant de la grille est vide',
+    'lint.duplicateId': 'Une autre grille utilise déjà l\'identifiant « {id} »',
+    'lint.noCategory': 'Le groupe {number} n\'a pas de catégorie',
+    'lint.noColor': 'Le groupe {number} n\'a pas de couleur',
+    'lint.emptyWord': 'Groupe {number}, le mot {position} est vide',
+    'lint.copySuffix': '« {word} » ne peut pas finir par # suivi d\'un nombre',
+    'lint.tooLong': '« {word} » est trop long pour une tuile (affiché en {size} px)',
+    'lint.repeated': '« {word} » apparaît plusieurs fois dans un groupe',
+    'lint.shared': '« {word} » est dans {count} groupes (chaque exemplaire est une tuile à part)',
+    'lint.colorReused': '{emoji} La couleur {color} sert à {count} groupes',
+    'create.fixFirst': 'Corrige d\'abord les erreurs',
+    'create.fixIn': 'Corrige d\'abord les erreurs de {id}',
+    'create.exported': '💾 Pack exporté',
+    'create.imported': '📥 {title} importé',
+    'create.confirmDelete': 'Supprimer « {id} » de ce pack ?',
+    'create.confirmShape': 'Ce format plus petit supprime des mots déjà saisis. Continuer ?',
+    'create.confirmNew': 'Abandonner ce pack et recommencer ?',
+
+    'error.label': 'Erreur de pack',
+    'error.heading': '😕 Impossible de charger les grilles',
+    'error.useDefault': '🎄 Utiliser les grilles par défaut',
+    'error.notJson': '{source} n\'est pas un JSON valide',
+    'error.notPack': '{source} n\'est pas un pack de grilles valide',
+    'error.download': 'Impossible de télécharger {url}',
+    'error.brokenLink': 'Ce lien de grille est cassé',
+    'error.noDecompress': 'Ce navigateur ne peut pas ouvrir les liens de grille compressés',
+    'error.notBackup': '{source} n\'est pas une sauvegarde de Connections',
+    'error.newerBackup': '{source} a été créée par une version plus récente du jeu',
+    'error.openFile': '📂 Ouvrir un fichier de pack'
+  },
+
+  de: {
+    'nav.puzzles': '📋 Rätsel',
+    'nav.editor': '✏️ Editor',
+    'nav.reset': '🔄 Neustart',
+    'logo.create': '🔗 Rätsel erstellen',
+    'logo.stats': '🔗 Statistik',
+    'logo.settings': '🔗 Einstellungen',
+    'logo.playtest': '🔗 Testspiel',
+    'logo.shared': '🔗 Geteiltes Rätsel',
+
+    'intro.label': 'Startbildschirm',
+    'intro.title': '{name}s Connections',
+    'intro.greeting': 'Frohe Weihnachten, {name}!',
+    'intro.message': 'Ich hoffe, die Rätsel machen dir Spaß!',
+    'intro.start': '{emoji} Los geht\'s',
+    'intro.today': '📅 Rätsel des Tages Nr. {number}',
+
+    'home.label': 'Rätselauswahl',
+    'home.heading': 'Wähle ein Rätsel',
+    'home.byAuthor': 'von {author}',
+    'home.openPack': '📂 Paket öffnen',
+    'home.create': '✏️ Erstellen',
+    'home.stats': '📈 Statistik',
+    'home.settings': '⚙️ Einstellungen',
+    'legend.unsolved': '⬜ Offen',
+    'legend.solved': '✅ Gelöst',
+    'legend.failed': '✖️ Verloren',
+    'legend.locked': '🔒 Noch nicht freigegeben',
+    'legend.inProgress': '⏸️ Angefangen',
+    'status.unsolved': 'offen',
+    'status.solved': 'gelöst',
+    'status.failed': 'verloren',
+    'status.inProgress': 'angefangen',
+    'library.search': 'Titel, Kategorien und Schlagwörter durchsuchen',
+    'library.status': 'Rätsel anzeigen',
+    'library.allStatuses': 'Alle Rätsel',
+    'library.tag': 'Schlagwort',
+    'library.allTags': 'Alle Schlagwörter',
+    'library.sortLabel': 'Rätsel sortieren',
+    'library.sort.number': 'Nach Nummer sortieren',
+    'library.sort.title': 'Nach Titel sortieren',
+    'library.sort.difficulty': 'Nach Schwierigkeit sortieren',
+    'library.sort.status': 'Nach Status sortieren',
+    'library.solvedCount': '{solved}/{total} gelöst',
+    'library.empty': 'Keine Rätsel gefunden.',
+    'library.clear': 'Filter zurücksetzen',
+    'difficulty.easy': 'leicht',
+    'difficulty.medium': 'mittel',
+    'difficulty.hard': 'schwer',
+    'tile.label': 'Rätsel {number}, {status}',
+    'tile.today': 'Rätsel {number}, {status}, Rätsel des Tages',
+    'tile.locked': 'Rätsel {number}, freigegeben am {date}',
+    'route.noPuzzle': 'Es gibt kein Rätsel {number}',
+    'route.locked': '🔒 Rätsel {number} wird am {date} freigegeben',
+
+    'daily.first': 'Erstes Rätsel in {time}',
+    'daily.next': 'Nächstes Rätsel in {time}',
+    'daily.allOut': {one: 'Das Rätsel ist freigegeben', other: 'Alle {count} Rätsel sind freigegeben'},
+    'daily.streak': '🔥 Tagesserie: {count}',
+    'daily.countdown': '{days} T. {time}',
+
+    'game.board': 'Wörter des Rätsels',
+    'game.boardHelp': 'Pfeiltasten wechseln zwischen Wörtern, Umschalt mit einer Pfeiltaste verschiebt das Wort selbst, Leertaste wählt aus, Buchstaben springen zu einem Wort, Enter bestätigt und Escape hebt die Auswahl auf.',
+    'game.congrats': '🎉 Super! 🎉',
+    'game.congratsText': 'Du hast das Rätsel gelöst!',
+    'game.failure': '😔 Viel Glück beim nächsten Mal!',
+    'game.failureMistakes': 'Du hast die maximale Anzahl an Fehlern erreicht.',
+    'game.failureTime': 'Die Zeit ist abgelaufen.',
+    'game.showResults': '📊 Ergebnis anzeigen',
+    'game.mistakes': 'Fehler:',
+    'game.time': 'Zeit',
+    'game.rules': 'Regeln:',
+    'game.puzzle': 'Rätsel:',
+    'game.actions': 'Aktionen',
+    'game.submit': '✅ Prüfen',
+    'game.deselect': '🙅 Abwählen',
+    'game.shuffle': '🔀 Mischen',
+    'game.arrange': '⬆️ Nach oben',
+    'game.arrangeLabel': 'Ausgewählte Wörter in die oberste Reihe verschieben',
+    'game.solvedGroup': 'Gelöste Gruppe {category}: {words}',
+    'game.why': 'ℹ️ Warum?',
+
+    'toast.finished': 'Das Rätsel ist beendet.',
+    'toast.maxWords': 'Höchstens {count} Wörter',
+    'toast.pickExactly': 'Wähle genau {count} aus',
+    'toast.repeat': 'Schon versucht…',
+    'toast.solved': '🎉 Gelöst!',
+    'toast.correct': '✅ Richtig',
+    'toast.maxMistakes': '💥 Zu viele Fehler — hier ist die Lösung',
+    'toast.outOfOrder': '🔒 Noch nicht — löse zuerst die leichteste Farbe',
+    'toast.oneAway': 'Knapp daneben…',
+    'toast.notGroup': '❌ Keine Gruppe',
+    'toast.noShuffle': '🚫 Mischen ist in diesem Spiel aus',
+    'toast.selectFirst': 'Wähle zuerst Wörter aus',
+    'toast.timeUp': '⏰ Zeit abgelaufen — hier ist die Lösung',
+    'toast.updated': 'ℹ️ Dieses Rätsel wurde geändert, dein Fortschritt wurde angepasst',
+    'toast.reset': '🔄 Rätsel zurückgesetzt!',
+    'toast.packLoaded': '📂 {name} geladen',
+    'toast.copied': '📋 In die Zwischenablage kopiert!',
+    'toast.copyFailed': 'Kopieren fehlgeschlagen',
+    'toast.linkCopied': '🔗 Link zum Rätsel kopiert!',
+    'update.available': '✨ Eine neue Version des Spiels ist bereit',
+    'update.reload': 'Jetzt aktualisieren',
+    'update.later': 'Später',
+
+    'announce.selected': '{word} ausgewählt, {count} von {size}',
+    'announce.deselected': '{word} abgewählt, {count} von {size}',
+    'announce.correct': {one: 'Richtig: {category}. Noch {count} Wort', other: 'Richtig: {category}. Noch {count} Wörter'},
+    'announce.oneAway': 'Knapp daneben',
+    'announce.notGroup': 'Keine Gruppe',
+    'announce.notNext': 'Nicht die nächste Gruppe',
+    'announce.left': {one: '{message}. Noch {count} Fehler übrig', other: '{message}. Noch {count} Fehler übrig'},
+    'announce.soFar': {one: '{message}. Bisher {count} Fehler', other: '{message}. Bisher {count} Fehler'},
+    'announce.cleared': 'Auswahl aufgehoben',
+    'announce.moved': '{word} verschoben nach Zeile {row}, Spalte {column}',
+    'announce.raised': {one: '{count} ausgewähltes Wort nach oben verschoben', other: '{count} ausgewählte Wörter nach oben verschoben'},
+
+    'rules.hard': 'Schwer',
+    'rules.unlimited': 'Unbegrenzte Fehler',
+    'rules.mistakes': {one: '{count} Fehler', other: '{count} Fehler'},
+    'rules.noShuffle': 'Ohne Mischen',
+
+    'color.yellow': 'Gelb',
+    'color.green': 'Grün',
+    'color.blue': 'Blau',
+    'color.purple': 'Lila',
+    'color.orange': 'Orange',
+    'color.red': 'Rot',
+
+    'hint.button': '💡 Tipp',
+    'hint.left': '💡 Tipp (noch {count})',
+    'hint.costly': '💡 Tipp (kostet einen Fehler)',
+    'hint.costNote': '(hat einen Fehler gekostet)',
+    'hint.menuWord': 'Gruppe eines Wortes zeigen',
+    'hint.menuCategory': 'Eine Kategorie zeigen',
+    'hint.menuPair': 'Zwei zusammengehörige Wörter zeigen',
+    'hint.word': '{word} gehört zur Gruppe {color}',
+    'hint.category': 'Die Gruppe {color} ist {category}',
+    'hint.pair': '{first} und {second} gehören zusammen',
+    'hint.noneLeft': 'Keine Tipps mehr',
+    'hint.nothing': 'Nichts mehr aufzudecken',
+
+    'results.heading': 'Ergebnis',
+    'results.none': 'Keine Versuche gespeichert',
+    'results.hintsUsed': {one: '💡 {count} Tipp benutzt', other: '💡 {count} Tipps benutzt'},
+    'results.rules': '📏 Regeln: {rules}',
+    'results.copy': '📋 Ergebnis kopieren',
+    'results.shareResults': '📤 Ergebnis teilen',
+    'results.saveImage': '🖼️ Bild speichern',
+    'results.fallback': 'Dieser Browser kann hier weder kopieren noch teilen. Markiere den Text unten, um ihn zu kopieren, oder lade das Bild herunter.',
+    'results.fallbackLabel': 'Ergebnistext',
+    'results.download': '⬇️ Bild herunterladen',
+    'results.close': 'Schließen',
+    'results.noImage': 'Dieser Browser kann keine Bilder erstellen',
+    'results.share': '🔗 Rätsel teilen',
+    'results.replay': '🎬 Wiederholung',
+    'results.learnMore': '📖 Mehr erfahren',
+    'results.learnMoreHeading': 'Über die Gruppen',
+    'results.history': '🔎 Versuche im Detail',
+    'results.back': '← Zurück zum Rätsel',
+
+    'share.playtest': 'Connections-Testspiel',
+    'share.shared': 'Connections: {id}',
+    'share.solved': 'Gelöst! ✅',
+    'share.timedOut': 'Zeit abgelaufen ⏰',
+    'share.failed': 'Verloren ❌',
+    'share.mistakes': 'Fehler: {mistakes}',
+    'share.rules': 'Regeln: {rules}',
+    'share.time': 'Zeit: {time}',
+    'share.timeOf': 'Zeit: {time} von {limit}',
+    'share.hints': 'Tipps: {count} 💡',
+
+    'replay.board': 'Wiederholung',
+    'history.heading': 'Deine Versuche',
+    'history.correct': '✅ Richtig',
+    'history.oneAway': '🤏 Knapp daneben',
+    'history.wrong': '❌ Falsch',
+    'history.outOfOrder': '🔒 Noch nicht',
+    'history.confused': 'Am häufigsten falsch zugeordnete Wörter',
+    'history.misplaced': {one: 'einmal in die falsche Gruppe gesteckt', other: '{count}-mal in die falsche Gruppe gesteckt'},
+    'history.noConfusion': 'Kein Wort landete in der falschen Gruppe.',
+    'replay.solved': '🎉 Gelöst!',
+    'replay.failed': '💥 Keine Fehler mehr übrig — Lösung aufgedeckt',
+    'replay.timedOut': '⏰ Zeit abgelaufen — Lösung aufgedeckt',
+    'replay.inProgress': 'Spiel läuft noch',
+    'replay.start': 'Ausgangslage',
+    'replay.oneAway': '🤏 Knapp daneben…',
+    'replay.wrong': '❌ Keine Gruppe',
+    'replay.guess': 'Versuch {number}/{total}: {outcome}',
+    'replay.mistakes': 'Fehler: {mistakes}',
+    'replay.play': '▶ Abspielen',
+    'replay.pause': '⏸ Pause',
+    'replay.first': 'Erster Schritt',
+    'replay.prev': 'Vorheriger Schritt',
+    'replay.next': 'Nächster Schritt',
+    'replay.last': 'Letzter Schritt',
+
+    'stats.heading': 'Statistik',
+    'stats.played': 'Gespielt',
+    'stats.solveRate': '% gelöst',
+    'stats.currentStreak': 'Aktuelle Serie',
+    'stats.maxStreak': 'Längste Serie',
+    'stats.mistakes': 'Fehler pro gelöstem Rätsel',
+    'stats.avgGuesses': 'Im Schnitt {count} Versuche pro gelöstem Rätsel',
+    'stats.noSolves': 'Noch keine Rätsel gelöst',
+    'stats.first': 'Zuerst gelöst',
+    'stats.last': 'Zuletzt gelöst',
+
+    'backup.heading': 'Sicherung',
+    'backup.export': '💾 Fortschritt exportieren',
+    'backup.import': '📥 Fortschritt importieren',
+    'backup.merge': 'Zusammenführen (Rätsel behalten, die nicht in der Sicherung sind)',
+    'backup.replace': 'Ersetzen (Rätsel löschen, die nicht in der Sicherung sind)',
+    'backup.puzzle': 'Rätsel',
+    'backup.now': 'Jetzt',
+    'backup.backup': 'Sicherung',
+    'backup.action': 'Aktion',
+    'backup.apply': '📥 Importieren',
+    'backup.cancel': 'Abbrechen',
+    'backup.add': '➕ neu',
+    'backup.overwrite': '⚠️ überschreiben',
+    'backup.same': 'unverändert',
+    'backup.delete': '🗑️ löschen',
+    'backup.empty': 'Die Sicherung enthält keine Rätsel',
+    'backup.skipped': '{entry} übersprungen',
+    'backup.shared': 'Geteilt: {id}',
+    'backup.nothing': 'Noch nichts zu sichern',
+    'backup.notSaveKey': 'kein Schlüssel eines gespeicherten Rätsels',
+    'backup.notObject': 'kein Objekt',
+    'backup.badMistakes': '„mistakes" muss eine ganze Zahl sein',
+    'backup.notArray': '„{field}" muss eine Liste sein',
+    'backup.exported': {one: '💾 {count} Rätsel exportiert', other: '💾 {count} Rätsel exportiert'},
+    'backup.imported': {one: '📥 {count} Rätsel importiert', other: '📥 {count} Rätsel importiert'},
+
+    'settings.label': 'Einstellungen',
+    'settings.heading': 'Einstellungen',
+    'settings.language': '🌐 Sprache',
+    'settings.languageAuto': 'Sprache des Browsers',
+    'settings.timed': '⏳ Zeitmodus',
+    'settings.timeLimit': 'Zeitlimit',
+    'settings.minutes': {one: '{count} Minute', other: '{count} Minuten'},
+    'settings.timedHelp': 'Rätsel, die du beginnst (oder neu startest), bekommen einen Countdown; läuft die Zeit ab, endet das Spiel wie nach zu vielen Fehlern. Bereits begonnene Spiele behalten ihre eigene Uhr.',
+    'settings.hints': '💡 Tipps',
+    'settings.hintsOff': 'Aus',
+    'settings.hintsBudget': '{count} kostenlose Tipps pro Rätsel',
+    'settings.hintsMistake': 'Jeder Tipp kostet einen Fehler',
+    'settings.hintsHelp': 'Tipps zeigen, in welcher Gruppe ein Wort ist, die Kategorie einer Gruppe oder zwei Wörter, die zusammengehören. Im Ergebnis steht 💡 bei Versuchen nach einem Tipp.',
+    'settings.maxMistakes': '❌ Erlaubte Fehler',
+    'settings.unlimited': 'Unbegrenzt (Übung)',
+    'settings.hardMode': '🔥 Schwerer Modus',
+    'settings.noShuffle': '🚫 Ohne Mischen',
+    'settings.rulesHelp': 'Der schwere Modus sagt nie „Knapp daneben" und verlangt, die Gruppen nach Farben geordnet zu lösen, die leichteste zuerst. Die Regeln gelten für Rätsel, die du beginnst (oder neu startest), außer ein Rätsel legt eigene fest, und stehen bei deinem Ergebnis.',
+    'settings.keepTileOrder': '🧩 Reihenfolge der Kacheln im Ergebnis behalten',
+    'settings.keepTileOrderHelp': 'Zeigt die Farben jedes Versuchs in der Reihenfolge, in der du die Wörter gewählt hast, statt nach Farbe sortiert – auf dem Bildschirm und in kopierten oder geteilten Ergebnissen.',
+
+    'create.label': 'Rätsel erstellen',
+    'create.heading': 'Rätsel erstellen',
+    'create.packTitle': 'Titel des Pakets',
+    'create.puzzleSelect': 'Bearbeitetes Rätsel',
+    'create.add': '➕ Hinzufügen',
+    'create.delete': '🗑️ Löschen',
+    'create.puzzleId': 'Rätsel-ID',
+    'create.puzzleTitle': 'Titel (optional)',
+    'create.puzzleTitleLabel': 'Rätseltitel',
+    'create.collection': 'Sammlung (optional)',
+    'create.collectionLabel': 'Sammlung',
+    'create.tags': 'Schlagwörter, durch Kommas getrennt',
+    'create.tagsLabel': 'Schlagwörter',
+    'create.difficulty': 'Schwierigkeit',
+    'create.noDifficulty': 'Keine Schwierigkeit',
+    'create.untitled': 'Rätsel {number}',
+    'create.group': 'Gruppe {number}',
+    'create.category': 'Kategorie',
+    'create.groupCategory': 'Kategorie von Gruppe {number}',
+    'create.groupColor': 'Farbe von Gruppe {number}',
+    'create.noColor': '— Farbe —',
+    'create.word': 'Wort {number}',
+    'create.groupWord': 'Gruppe {number}, Wort {word}',
+    'create.explanation': 'Erklärung, nach dem Lösen sichtbar (optional)',
+    'create.groupExplanation': 'Erklärung von Gruppe {number}',
+    'create.groupCount': 'Gruppen',
+    'create.groupSize': 'Wörter pro Gruppe',
+    'create.playtest': '▶ Testen',
+    'create.copyLink': '🔗 Link kopieren',
+    'create.export': '💾 Paket exportieren',
+    'create.import': '📥 Paket importieren',
+    'create.new': '🧹 Neues Paket',
+    'create.ready': '✅ Spielbereit',
+    'lint.noId': 'Die Rätsel-ID ist leer',
+    'lint.duplicateId': 'Ein anderes Rätsel verwendet schon die ID „{id}"',
+    'lint.noCategory': 'Gruppe {number} hat keine Kategorie',
+    'lint.noColor': 'Gruppe {number} hat keine Farbe',
+    'lint.emptyWord': 'Gruppe {number}, Wort {position} ist leer',
+    'lint.copySuffix': '„{word}" darf nicht auf # und eine Zahl enden',
+    'lint.tooLong': '„{word}" ist zu lang für eine Kachel (wird mit {size} px angezeigt)',
+    'lint.repeated': '„{word}" kommt in einer Gruppe mehrmals vor',
+    'lint.shared': '„{word}" steht in {count} Gruppen (jede Kopie ist eine eigene Kachel)',
+    'lint.colorReused': '{emoji} Die Farbe {color} wird von {count} Gruppen verwendet',
+    'create.fixFirst': 'Behebe zuerst die Fehler',
+    'create.fixIn': 'Behebe zuerst die Fehler in {id}',
+    'create.exported': '💾 Paket exportiert',
+    'create.imported': '📥 {title} importiert',
+    'create.confirmDelete': '„{id}" aus diesem Paket löschen?',
+    'create.confirmShape': 'Das kleinere Format entfernt bereits eingetragene Wörter. Fortfahren?',
+    'create.confirmNew': 'Dieses Paket verwerfen und neu beginnen?',
+
+    'error.label': 'Fehler im Rätselpaket',
+    'error.heading': '😕 Rätsel konnten nicht geladen werden',
+    'error.useDefault': '🎄 Standardrätsel verwenden',
+    'error.notJson': '{source} ist kein gültiges JSON',
+    'error.notPack': '{source} ist kein gültiges Rätselpaket',
+    'error.download': '{url} konnte nicht heruntergeladen werden',
+    'error.brokenLink': 'Dieser Rätsel-Link ist kaputt',
+    'error.noDecompress': 'Dieser Browser kann komprimierte Rätsel-Links nicht öffnen',
+    'error.notBackup': '{source} ist keine Connections-Sicherung',
+    'error.newerBackup': '{source} wurde mit einer neueren Version des Spiels erstellt',
+    'error.openFile': '📂 Paketdatei öffnen'
+  },
+
+  es: {
+    'nav.puzzles': '📋 Puzles',
+    'nav.editor': '✏️ Editor',
+    'nav.reset': '🔄 Reiniciar',
+    'logo.create': '🔗 Crear un puzle',
+    'logo.stats': '🔗 Estadísticas',
+    'logo.settings': '🔗 Ajustes',
+    'logo.playtest': '🔗 Prueba',
+    'logo.shared': '🔗 Puzle compartido',
+
+    'intro.label': 'Pantalla de bienvenida',
+    'intro.title': 'Las Conexiones de {name}',
+    'intro.greeting': '¡Feliz Navidad, {name}!',
+    'intro.message': '¡Espero que disfrutes estos puzles!',
+    'intro.start': '{emoji} Empezar',
+    'intro.today': '📅 Puzle del día n.º {number}',
+
+    'home.label': 'Selector de puzles',
+    'home.heading': 'Elige un puzle',
+    'home.byAuthor': 'de {author}',
+    'home.openPack': '📂 Abrir paquete',
+    'home.create': '✏️ Crear',
+    'home.stats': '📈 Estadísticas',
+    'home.settings': '⚙️ Ajustes',
+    'legend.unsolved': '⬜ Sin resolver',
+    'legend.solved': '✅ Resuelto',
+    'legend.failed': '✖️ Fallado',
+    'legend.locked': '🔒 Aún no disponible',
+    'legend.inProgress': '⏸️ En curso',
+    'status.unsolved': 'sin resolver',
+    'status.solved': 'resuelto',
+    'status.failed': 'fallado',
+    'status.inProgress': 'en curso',
+    'library.search': 'Buscar en títulos, categorías y etiquetas',
+    'library.status': 'Puzles que mostrar',
+    'library.allStatuses': 'Todos los puzles',
+    'library.tag': 'Etiqueta',
+    'library.allTags': 'Todas las etiquetas',
+    'library.sortLabel': 'Ordenar puzles',
+    'library.sort.number': 'Ordenar por número',
+    'library.sort.title': 'Ordenar por título',
+    'library.sort.difficulty': 'Ordenar por dificultad',
+    'library.sort.status': 'Ordenar por estado',
+    'library.solvedCount': '{solved}/{total} resueltos',
+    'library.empty': 'Ningún puzle coincide.',
+    'library.clear': 'Quitar filtros',
+    'difficulty.easy': 'fácil',
+    'difficulty.medium': 'media',
+    'difficulty.hard': 'difícil',
+    'tile.label': 'Puzle {number}, {status}',
+    'tile.today': 'Puzle {number}, {status}, puzle de hoy',
+    'tile.locked': 'Puzle {number}, disponible el {date}',
+    'route.noPuzzle': 'No existe el puzle {number}',
+    'route.locked': '🔒 El puzle {number} estará disponible el {date}',
+
+    'daily.first': 'Primer puzle en {time}',
+    'daily.next': 'Próximo puzle en {time}',
+    'daily.allOut': {one: 'El puzle ya está disponible', other: 'Los {count} puzles ya están disponibles'},
+    'daily.streak': '🔥 Racha diaria: {count}',
+    'daily.countdown': '{days} d {time}',
+
+    'game.board': 'Palabras del puzle',
+    'game.boardHelp': 'Las flechas mueven entre palabras, Mayús con una flecha mueve la propia palabra, Espacio selecciona, escribir letras salta a una palabra, Intro envía y Escape borra la selección.',
+    'game.congrats': '🎉 ¡Genial! 🎉',
+    'game.congratsText': '¡Has resuelto el puzle!',
+    'game.failure': '😔 ¡Más suerte la próxima vez!',
+    'game.failureMistakes': 'Has llegado al máximo de errores.',
+    'game.failureTime': 'Se te acabó el tiempo.',
+    'game.showResults': '📊 Ver resultados',
+    'game.mistakes': 'Errores:',
+    'game.time': 'Tiempo',
+    'game.rules': 'Reglas:',
+    'game.puzzle': 'Puzle:',
+    'game.actions': 'Acciones',
+    'game.submit': '✅ Enviar',
+    'game.deselect': '🙅 Deseleccionar',
+    'game.shuffle': '🔀 Mezclar',
+    'game.arrange': '⬆️ Arriba',
+    'game.arrangeLabel': 'Mover las palabras seleccionadas a la primera fila',
+    'game.solvedGroup': 'Grupo resuelto {category}: {words}',
+    'game.why': 'ℹ️ ¿Por qué?',
+
+    'toast.finished': 'El puzle ha terminado.',
+    'toast.maxWords': 'Máximo {count} palabras',
+    'toast.pickExactly': 'Elige exactamente {count}',
+    'toast.repeat': 'Ya lo intentaste…',
+    'toast.solved': '🎉 ¡Resuelto!',
+    'toast.correct': '✅ Correcto',
+    'toast.maxMistakes': '💥 Demasiados errores — mostrando la solución',
+    'toast.outOfOrder': '🔒 Todavía no — resuelve primero el color más fácil',
+    'toast.oneAway': 'Te falta una…',
+    'toast.notGroup': '❌ No es un grupo',
+    'toast.noShuffle': '🚫 Mezclar está desactivado en esta partida',
+    'toast.selectFirst': 'Selecciona primero algunas palabras',
+    'toast.timeUp': '⏰ Se acabó el tiempo — mostrando la solución',
+    'toast.updated': 'ℹ️ Este puzle ha cambiado, así que se ajustó tu progreso',
+    'toast.reset': '🔄 ¡Puzle reiniciado!',
+    'toast.packLoaded': '📂 {name} cargado',
+    'toast.copied': '📋 ¡Copiado al portapapeles!',
+    'toast.copyFailed': 'No se pudo copiar',
+    'toast.linkCopied': '🔗 ¡Enlace del puzle copiado!',
+    'update.available': '✨ Hay una nueva versión del juego',
+    'update.reload': 'Actualizar',
+    'update.later': 'Más tarde',
+
+    'announce.selected': '{word} seleccionada, {count} de {size}',
+    'announce.deselected': '{word} deseleccionada, {count} de {size}',
+    'announce.correct': {one: 'Correcto: {category}. Queda {count} palabra', other: 'Correcto: {category}. Quedan {count} palabras'},
+    'announce.oneAway': 'Te falta una',
+    'announce.notGroup': 'No es un grupo',
+    'announce.notNext': 'No es el siguiente grupo',
+    'announce.left': {one: '{message}. Te queda {count} error', other: '{message}. Te quedan {count} errores'},
+    'announce.soFar': {one: '{message}. {count} error hasta ahora', other: '{message}. {count} errores hasta ahora'},
+    'announce.cleared': 'Selección borrada',
+    'announce.moved': '{word} movida a la fila {row}, columna {column}',
+    'announce.raised': {one: '{count} palabra seleccionada movida arriba', other: '{count} palabras seleccionadas movidas arriba'},
+
+    'rules.hard': 'Difícil',
+    'rules.unlimited': 'Errores ilimitados',
+    'rules.mistakes': {one: '{count} error', other: '{count} errores'},
+    'rules.noShuffle': 'Sin mezclar',
+
+    'color.yellow': 'amarillo',
+    'color.green': 'verde',
+    'color.blue': 'azul',
+    'color.purple': 'morado',
+    'color.orange': 'naranja',
+    'color.red': 'rojo',
+
+    'hint.button': '💡 Pista',
+    'hint.left': '💡 Pista (quedan {count})',
+    'hint.costly': '💡 Pista (cuesta un error)',
+    'hint.costNote': '(costó un error)',
+    'hint.menuWord': 'Revelar el grupo de una palabra',
+    'hint.menuCategory': 'Revelar una categoría',
+    'hint.menuPair': 'Mostrar dos que van juntas',
+    'hint.word': '{word} está en el grupo {color}',
+    'hint.category': 'El grupo {color} es {category}',
+    'hint.pair': '{first} y {second} van juntas',
+    'hint.noneLeft': 'No quedan pistas',
+    'hint.nothing': 'No queda nada por revelar',
+
+    'results.heading': 'Resultados',
+    'results.none': 'No hay intentos registrados',
+    'results.hintsUsed': {one: '💡 {count} pista usada', other: '💡 {count} pistas usadas'},
+    'results.rules': '📏 Reglas: {rules}',
+    'results.copy': '📋 Copiar resultados',
+    'results.shareResults': '📤 Compartir resultados',
+    'results.saveImage': '🖼️ Guardar imagen',
+    'results.fallback': 'Este navegador no puede copiar ni compartir desde aquí. Selecciona el texto de abajo para copiarlo o descarga la imagen.',
+    'results.fallbackLabel': 'Texto de los resultados',
+    'results.download': '⬇️ Descargar imagen',
+    'results.close': 'Cerrar',
+    'results.noImage': 'Este navegador no puede crear imágenes',
+    'results.share': '🔗 Compartir puzle',
+    'results.replay': '🎬 Repetición',
+    'results.learnMore': '📖 Saber más',
+    'results.learnMoreHeading': 'Sobre los grupos',
+    'results.history': '🔎 Detalle de intentos',
+    'results.back': '← Volver al puzle',
+
+    'share.playtest': 'Conexiones – prueba',
+    'share.shared': 'Conexiones: {id}',
+    'share.solved': '¡Resuelto! ✅',
+    'share.timedOut': 'Sin tiempo ⏰',
+    'share.failed': 'Fallado ❌',
+    'share.mistakes': 'Errores: {mistakes}',
+    'share.rules': 'Reglas: {rules}',
+    'share.time': 'Tiempo: {time}',
+    'share.timeOf': 'Tiempo: {time} de {limit}',
+    'share.hints': 'Pistas: {count} 💡',
+
+    'replay.board': 'Tablero de la repetición',
+    'history.heading': 'Tus intentos',
+    'history.correct': '✅ Correcto',
+    'history.oneAway': '🤏 Te falta una',
+    'history.wrong': '❌ Fallo',
+    'history.outOfOrder': '🔒 Todavía no',
+    'history.confused': 'Palabras más confundidas',
+    'history.misplaced': {one: 'puesta en el grupo equivocado una vez', other: 'puesta en el grupo equivocado {count} veces'},
+    'history.noConfusion': 'Ninguna palabra acabó en el grupo equivocado.',
+    'replay.solved': '🎉 ¡Resuelto!',
+    'replay.failed': '💥 Sin errores disponibles — solución revelada',
+    'replay.timedOut': '⏰ Se acabó el tiempo — solución revelada',
+    'replay.inProgress': 'Partida todavía en curso',
+    'replay.start': 'Tablero inicial',
+    'replay.oneAway': '🤏 Te falta una…',
+    'replay.wrong': '❌ No es un grupo',
+    'replay.guess': 'Intento {number}/{total}: {outcome}',
+    'replay.mistakes': 'Errores: {mistakes}',
+    'replay.play': '▶ Reproducir',
+    'replay.pause': '⏸ Pausa',
+    'replay.first': 'Primer paso',
+    'replay.prev': 'Paso anterior',
+    'replay.next': 'Paso siguiente',
+    'replay.last': 'Último paso',
+
+    'stats.heading': 'Estadísticas',
+    'stats.played': 'Jugados',
+    'stats.solveRate': '% resueltos',
+    'stats.currentStreak': 'Racha actual',
+    'stats.maxStreak': 'Mejor racha',
+    'stats.mistakes': 'Errores por puzle resuelto',
+    'stats.avgGuesses': '{count} intentos por puzle resuelto de media',
+    'stats.noSolves': 'Aún no hay puzles resueltos',
+    'stats.first': 'Resuelto primero',
+    'stats.last': 'Resuelto último',
+
+    'backup.heading': 'Copia de seguridad',
+    'backup.export': '💾 Exportar progreso',
+    'backup.import': '📥 Importar progreso',
+    'backup.merge': 'Combinar (conservar los puzles que no están en la copia)',
+    'backup.replace': 'Reemplazar (borrar los puzles que no están en la copia)',
+    'backup.puzzle': 'Puzle',
+    'backup.now': 'Ahora',
+    'backup.backup': 'Copia',
+    'backup.action': 'Acción',
+    'backup.apply': '📥 Importar',
+    'backup.cancel': 'Cancelar',
+    'backup.add': '➕ nuevo',
+    'backup.overwrite': '⚠️ sobrescribir',
+    'backup.same': 'sin cambios',
+    'backup.delete': '🗑️ borrar',
+    'backup.empty': 'La copia no tiene puzles',
+    'backup.skipped': 'Omitido: {entry}',
+    'backup.shared': 'Compartido: {id}',
+    'backup.nothing': 'Todavía no hay nada que guardar',
+    'backup.notSaveKey': 'no es una clave de partida guardada',
+    'backup.notObject': 'no es un objeto',
+    'backup.badMistakes': '«mistakes» debe ser un número entero',
+    'backup.notArray': '«{field}» debe ser una lista',
+    'backup.exported': {one: '💾 {count} puzle exportado', other: '💾 {count} puzles exportados'},
+    'backup.imported': {one: '📥 {count} puzle importado', other: '📥 {count} puzles importados'},
+
+    'settings.label': 'Ajustes',
+    'settings.heading': 'Ajustes',
+    'settings.language': '🌐 Idioma',
+    'settings.languageAuto': 'Idioma del navegador',
+    'settings.timed': '⏳ Modo contrarreloj',
+    'settings.timeLimit': 'Límite de tiempo',
+    'settings.minutes': {one: '{count} minuto', other: '{count} minutos'},
+    'settings.timedHelp': 'Los puzles que empieces (o reinicies) tienen cuenta atrás; si se acaba el tiempo, la partida termina como al agotar los errores. Las partidas ya empezadas mantienen su propio reloj.',
+    'settings.hints': '💡 Pistas',
+    'settings.hintsOff': 'Desactivadas',
+    'settings.hintsBudget': '{count} pistas gratis por puzle',
+    'settings.hintsMistake': 'Cada pista cuesta un error',
+    'settings.hintsHelp': 'Las pistas revelan en qué grupo está una palabra, la categoría de un grupo o dos palabras que van juntas. Los resultados muestran 💡 en los intentos hechos después de una pista.',
+    'settings.maxMistakes': '❌ Errores permitidos',
+    'settings.unlimited': 'Ilimitados (práctica)',
+    'settings.hardMode': '🔥 Modo difícil',
+    'settings.noShuffle': '🚫 Sin mezclar',
+    'settings.rulesHelp': 'El modo difícil nunca dice «Te falta una» y obliga a resolver los grupos por orden de color, del más fácil al más difícil. Las reglas se aplican a los puzles que empieces (o reinicies), salvo que un puzle fije las suyas, y se muestran con tus resultados.',
+    'settings.keepTileOrder': '🧩 Mantener el orden de las fichas en los resultados',
+    'settings.keepTileOrderHelp': 'Muestra los colores de cada intento en el orden en que elegiste las palabras en vez de agrupados por color, en pantalla y en los resultados copiados o compartidos.',
+
+    'create.label': 'Crear un puzle',
+    'create.heading': 'Crear un puzle',
+    'create.packTitle': 'Título del paquete',
+    'create.puzzleSelect': 'Puzle en edición',
+    'create.add': '➕ Añadir',
+    'create.delete': '🗑️ Borrar',
+    'create.puzzleId': 'Identificador del puzle',
+    'create.puzzleTitle': 'Título (opcional)',
+    'create.puzzleTitleLabel': 'Título del puzle',
+    'create.collection': 'Colección (opcional)',
+    'create.collectionLabel': 'Colección',
+    'create.tags': 'Etiquetas, separadas por comas',
+    'create.tagsLabel': 'Etiquetas',
+    'create.difficulty': 'Dificultad',
+    'create.noDifficulty': 'Sin dificultad',
+    'create.untitled': 'Puzle {number}',
+    'create.group': 'Grupo {number}',
+    'create.category': 'Categoría',
+    'create.groupCategory': 'Categoría del grupo {number}',
+    'create.groupColor': 'Color del grupo {number}',
+    'create.noColor': '— color —',
+    'create.word': 'Palabra {number}',
+    'create.groupWord': 'Grupo {number}, palabra {word}',
+    'create.explanation': 'Explicación, visible al resolverlo (opcional)',
+    'create.groupExplanation': 'Explicación del grupo {number}',
+    'create.groupCount': 'Grupos',
+    'create.groupSize': 'Palabras por grupo',
+    'create.playtest': '▶ Probar',
+    'create.copyLink': '🔗 Copiar enlace',
+    'create.export': '💾 Exportar paquete',
+    'create.import': '📥 Importar paquete',
+    'create.new': '🧹 Paquete nuevo',
+    'create.ready': '✅ Listo para jugar',
+    'lint.noId': 'El identificador del puzle está vacío',
+    'lint.duplicateId': 'Otro puzle ya usa el identificador «{id}»',
+    'lint.noCategory': 'El grupo {number} no tiene categoría',
+    'lint.noColor': 'El grupo {number} no tiene color',
+    'lint.emptyWord': 'Grupo {number}, la palabra {position} está vacía',
+    'lint.copySuffix': '«{word}» no puede terminar en # y un número',
+    'lint.tooLong': '«{word}» es demasiado larga para una ficha (se muestra a {size} px)',
+    'lint.repeated': '«{word}» aparece más de una vez en un grupo',
+    'lint.shared': '«{word}» está en {count} grupos (cada copia es su propia ficha)',
+    'lint.colorReused': '{emoji} El color {color} lo usan {count} grupos',
+    'create.fixFirst': 'Corrige primero los errores',
+    'create.fixIn': 'Corrige primero los errores de {id}',
+    'create.exported': '💾 Paquete exportado',
+    'create.imported': '📥 {title} importado',
+    'create.confirmDelete': '¿Borrar «{id}» de este paquete?',
+    'create.confirmShape': 'El formato más pequeño elimina palabras ya escritas. ¿Continuar?',
+    'create.confirmNew': '¿Descartar este paquete y empezar de nuevo?',
+
+    'error.label': 'Error en el paquete de puzles',
+    'error.heading': '😕 No se pudieron cargar los puzles',
+    'error.useDefault': '🎄 Usar los puzles predeterminados',
+    'error.notJson': '{source} no es un JSON válido',
+    'error.notPack': '{source} no es un paquete de puzles válido',
+    'error.download': 'No se pudo descargar {url}',
+    'error.brokenLink': 'Este enlace de puzle está roto',
+    'error.noDecompress': 'Este navegador no puede abrir enlaces de puzle comprimidos',
+    'error.notBackup': '{source} no es una copia de seguridad de Connections',
+    'error.newerBackup': '{source} se creó con una versión más reciente del juego',
+    'error.openFile': '📂 Abrir archivo de paquete'
+  }
+};
+
+// Language the interface is currently shown in (a key of LOCALES)
+let currentLocale = FALLBACK_LOCALE;
+
+/**
+ * Choose the interface language
+ * @param {string} preference - A key of LOCALES, or 'auto' to follow the browser
+ * @param {Array<string>} browserLanguages - Preferred languages, best first (navigator.languages)
+ * @returns {string} Key of LOCALES
+ */
+function pickLocale(preference, browserLanguages=[]) {
+  if (LOCALES[preference]) return preference;
+  const match = browserLanguages.map(l => String(l).toLowerCase().split('-')[0]).find(l => LOCALES[l]);
+  return match || FALLBACK_LOCALE;
+}
+
+/**
+ * Switch the language used by t() and the format helpers
+ * @param {string} code - Key of LOCALES (anything else selects FALLBACK_LOCALE)
+ */
+function setLocale(code) {
+  currentLocale = LOCALES[code] ? code : FALLBACK_LOCALE;
+}
+
+/**
+ * Format a number for the current language
+ * @param {number} n - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+function formatNumber(n, options) {
+  return new Intl.NumberFormat(currentLocale, options).format(n);
+}
+
+/**
+ * Format a date for the current language
+ * @param {Date|number|string} date - Date, timestamp, or a YYYY-MM-DD day (read as a local date)
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to a medium date)
+ * @returns {string} Formatted date
+ */
+function formatDate(date, options={dateStyle: 'medium'}) {
+  const m = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  const value = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(date);
+  return new Intl.DateTimeFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Look up interface text in the current language, falling back to FALLBACK_LOCALE and then to the key
+ * Numeric params are formatted with formatNumber()
+ * @param {string} key - Message key, e.g. 'toast.pickExactly'
+ * @param {Object} params - Values for the message's {placeholders}; `count` also picks the plural form
+ * @returns {string} Text
+ */
+function t(key, params={}) {
+  let msg = key in MESSAGES[currentLocale] ? MESSAGES[currentLocale][key] : MESSAGES[FALLBACK_LOCALE][key];
+  if (msg === undefined) return key;
+  if (typeof msg === 'object') {
+    const form = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+    msg = msg[form] !== undefined ? msg[form] : msg.other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (whole, name) => {
+    if (!(name in params)) return whole;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCALES,
+    FALLBACK_LOCALE,
+    MESSAGES,
+    pickLocale,
+    setLocale,
+    formatNumber,
+    formatDate,
+    t
+  };
+}
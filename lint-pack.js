@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/*
+ * Check puzzle packs before publishing them: node lint-pack.js pack.json [more.json ...]
+ * Prints what lintPack() in engine.js finds in each pack and exits non-zero if any pack has errors,
+ * or warnings too when run with --strict.
+ */
+
+const fs = require('fs');
+const { lintPack } = require('./engine.js');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const files = args.filter(a => a !== '--strict');
+
+if (files.length === 0) {
+  console.log('Usage: node lint-pack.js [--strict] pack.json [more.json ...]');
+  process.exit(2);
+}
+
+/**
+ * Lint one pack file and print its report
+ * @param {string} file - Path to a pack JSON file
+ * @returns {boolean} Whether the pack passes (no errors, and no warnings in strict mode)
+ */
+function lintFile(file) {
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.log(`${file}\n  error: ${err.message}`);
+    return false;
+  }
+  const { counts, issues } = lintPack(pack);
+  const errors = issues.filter(i => i.level === 'error').length;
+  const warnings = issues.length - errors;
+  console.log(`${file}: ${counts.puzzles} puzzles, ${counts.groups} groups, ${counts.words} words`);
+  issues.forEach(i => console.log(`  ${i.level}: ${i.message}`));
+  console.log(`  ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  return errors === 0 && !(strict && warnings > 0);
+}
+
+const results = files.map(lintFile);
+if (results.includes(false)) process.exitCode = 1;
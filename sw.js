@@ -0,0 +1,71 @@
+/*
+ * Service worker: keeps the game playable offline and lets it be installed to the home screen.
+ * The app files are cached on install and served from the cache; puzzle packs are fetched fresh
+ * when online and fall back to the last copy seen. Bump CACHE_VERSION whenever any file in
+ * APP_FILES changes, so players get the update-available prompt.
+ */
+
+// Name of the cache holding this version's files (older caches are deleted on activation)
+const CACHE_VERSION = 'connections-25';
+
+// Files needed to play offline, relative to this script
+const APP_FILES = [
+  './',
+  'index.html',
+  'engine.js',
+  'i18n.js',
+  'game.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'puzzles-test.json'
+];
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES)));
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// The page asks a waiting new version to take over once the player accepts the update prompt
+self.addEventListener('message', e => {
+  if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Fetch from the network, keeping a copy for offline use; fall back to that copy when offline
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch(e) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+/**
+ * Serve from the cache, going to the network only for files that were never cached
+ * Pages ignore the query string, so index.html?pack=... opens offline too
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, {ignoreSearch: request.mode === 'navigate'});
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', e => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== location.origin) return;
+  e.respondWith(url.pathname.endsWith('.json') ? networkFirst(e.request) : cacheFirst(e.request));
+});
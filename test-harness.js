@@ -0,0 +1,181 @@
+/*
+ * Minimal test harness and assertion helpers shared by test.html (browser) and test-node.js (Node).
+ * In the browser everything below is a global; Node gets the same names from module.exports.
+ */
+
+// Simple test harness
+class TestHarness {
+  constructor() {
+    this.suites = [];
+    this.totalTests = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.startTime = 0;
+  }
+
+  suite(name, fn) {
+    const suite = {
+      name,
+      tests: [],
+      beforeEach: null,
+      afterEach: null
+    };
+    this.suites.push(suite);
+
+    const context = {
+      beforeEach: (fn) => { suite.beforeEach = fn; },
+      afterEach: (fn) => { suite.afterEach = fn; },
+      test: (testName, testFn) => {
+        suite.tests.push({ name: testName, fn: testFn });
+      }
+    };
+
+    fn(context);
+  }
+
+  async run() {
+    this.totalTests = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.startTime = performance.now();
+
+    const results = [];
+
+    for (const suite of this.suites) {
+      const suiteResult = {
+        name: suite.name,
+        tests: []
+      };
+
+      for (const test of suite.tests) {
+        this.totalTests++;
+        const testStart = performance.now();
+        let result = {
+          name: test.name,
+          passed: false,
+          error: null,
+          time: 0
+        };
+
+        try {
+          if (suite.beforeEach) suite.beforeEach();
+          await test.fn();
+          if (suite.afterEach) suite.afterEach();
+
+          result.passed = true;
+          this.passedTests++;
+        } catch (error) {
+          result.error = error.message;
+          this.failedTests++;
+        }
+
+        result.time = performance.now() - testStart;
+        suiteResult.tests.push(result);
+      }
+
+      results.push(suiteResult);
+    }
+
+    const totalTime = performance.now() - this.startTime;
+    return { results, totalTime };
+  }
+
+  renderResults(data) {
+    const summaryEl = document.getElementById('summary');
+    summaryEl.innerHTML = `
+      <div class="summary-item">
+        <div class="summary-label">Total Tests</div>
+        <div class="summary-value">${this.totalTests}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Passed</div>
+        <div class="summary-value pass">${this.passedTests}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Failed</div>
+        <div class="summary-value fail">${this.failedTests}</div>
+      </div>
+      <div class="summary-item">
+        <div class="summary-label">Time</div>
+        <div class="summary-value">${data.totalTime.toFixed(2)}ms</div>
+      </div>
+    `;
+
+    const resultsEl = document.getElementById('results');
+    resultsEl.innerHTML = data.results.map(suite => `
+      <div class="test-suite">
+        <h2>${suite.name}</h2>
+        ${suite.tests.map(test => `
+          <div class="test-case ${test.passed ? 'pass' : 'fail'}">
+            <div class="test-name">${test.name}</div>
+            ${test.error ? `<div class="test-error">${test.error}</div>` : ''}
+            <div class="test-time">${test.time.toFixed(2)}ms</div>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, but got ${actual}`);
+  }
+}
+
+function assertDeepEquals(actual, expected, message) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr !== expectedStr) {
+    throw new Error(message || `Expected ${expectedStr}, but got ${actualStr}`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(message || `Expected true, but got ${value}`);
+  }
+}
+
+function assertFalse(value, message) {
+  if (value) {
+    throw new Error(message || `Expected false, but got ${value}`);
+  }
+}
+
+function assertThrows(fn, message) {
+  try {
+    fn();
+    throw new Error(message || 'Expected function to throw an error');
+  } catch (e) {
+    if (e.message === message || e.message === 'Expected function to throw an error') {
+      throw e;
+    }
+  }
+}
+
+function assertArrayContains(array, value, message) {
+  if (!array.includes(value)) {
+    throw new Error(message || `Expected array to contain ${value}`);
+  }
+}
+
+function assertArrayLength(array, length, message) {
+  if (array.length !== length) {
+    throw new Error(message || `Expected array length ${length}, but got ${array.length}`);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TestHarness,
+    assertEquals,
+    assertDeepEquals,
+    assertTrue,
+    assertFalse,
+    assertThrows,
+    assertArrayContains,
+    assertArrayLength
+  };
+}
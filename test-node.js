@@ -0,0 +1,937 @@
+#!/usr/bin/env node
+/*
+ * Headless tests for the game engine, no browser needed: node test-node.js
+ * Plays the puzzles in puzzles-test.json through engine.js and exits non-zero on any failure.
+ */
+
+const {
+  TestHarness,
+  assertEquals,
+  assertDeepEquals,
+  assertTrue,
+  assertFalse,
+  assertArrayLength
+} = require('./test-harness.js');
+const E = require('./engine.js');
+const PACK = require('./puzzles-test.json');
+
+const harness = new TestHarness();
+
+/**
+ * Fresh copy of a puzzle from the test pack (createGame() normalizes its argument in place)
+ * @param {number} n - Zero-based puzzle index
+ * @returns {Object} Puzzle object
+ */
+function puzzle(n = 0) {
+  return JSON.parse(JSON.stringify(PACK.puzzles[n]));
+}
+
+/**
+ * Replace a game's selection with the given words
+ * @param {Object} game - Engine game state
+ * @param {Array<string>} words - Words to select
+ */
+function select(game, words) {
+  E.clearSelection(game);
+  const all = E.gameWords(game);
+  words.forEach(w => E.toggleTile(game, all.indexOf(w.toUpperCase())));
+}
+
+/**
+ * Select and submit one guess
+ * @param {Object} game - Engine game state
+ * @param {Array<string>} words - Words to guess
+ * @param {number} now - Timestamp passed to submitGuess()
+ * @returns {Object} submitGuess() outcome
+ */
+function guess(game, words, now) {
+  select(game, words);
+  return E.submitGuess(game, now);
+}
+
+/**
+ * Four wrong guesses for a puzzle: one word from each group
+ * @param {Object} game - Engine game state
+ * @returns {Array<Array<string>>} Guesses that never match a group
+ */
+function wrongGuesses(game) {
+  return [0, 1, 2, 3].map(k => game.data.groups.map(g => g.words[k]));
+}
+
+harness.suite('Engine: New Game', ({ test }) => {
+  test('createGame should normalize the puzzle and shuffle every word onto the board', () => {
+    const game = E.createGame(puzzle());
+    assertEquals(game.id, 'Puzzle 1');
+    assertEquals(game.data.groups[0].colorName, 'purple');
+    assertArrayLength(game.order, 16);
+    assertDeepEquals(game.order.slice().sort((a, b) => a - b), [...Array(16).keys()]);
+    assertFalse(game.locked);
+  });
+
+  test('toggleTile should select up to 4 tiles and deselect on a second toggle', () => {
+    const game = E.createGame(puzzle());
+    [0, 1, 2, 3].forEach(i => assertTrue(E.toggleTile(game, i).selected));
+    assertDeepEquals(E.toggleTile(game, 4), { ok: false, reason: 'full' });
+    assertDeepEquals(E.toggleTile(game, 2), { ok: true, selected: false });
+    assertEquals(game.selection.size, 3);
+  });
+
+  test('submitGuess should ask for exactly 4 words', () => {
+    const game = E.createGame(puzzle());
+    E.toggleTile(game, 0);
+    assertEquals(E.submitGuess(game).status, 'incomplete');
+    assertArrayLength(game.guesses, 0);
+  });
+});
+
+harness.suite('Engine: Guessing', ({ test }) => {
+  test('a correct guess should solve the group and take its tiles off the board', () => {
+    const game = E.createGame(puzzle());
+    const result = guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    assertEquals(result.status, 'correct');
+    assertEquals(result.group.category, 'INTERNATIONAL WORDS');
+    assertFalse(result.solved);
+    assertArrayLength(game.order, 12);
+    assertEquals(game.selection.size, 0);
+    assertDeepEquals(game.guesses[0].colors, ['yellow', 'yellow', 'yellow', 'yellow']);
+  });
+
+  test('a wrong guess should count a mistake and report one away', () => {
+    const game = E.createGame(puzzle());
+    const result = guess(game, ['TAXI', 'HOTEL', 'RADIO', 'CHEF'], 1000);
+    assertDeepEquals(result, { status: 'wrong', oneAway: true, outOfOrder: false, failed: false });
+    assertEquals(game.mistakes, 1);
+    assertDeepEquals(game.mistakesLog, [{ ts: 1000, words: ['TAXI', 'HOTEL', 'RADIO', 'CHEF'] }]);
+    assertEquals(game.selection.size, 4, 'Selection should stay for the next attempt');
+  });
+
+  test('repeating a wrong guess in any order should not cost a mistake', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'MENU', 'CHEF']);
+    assertEquals(guess(game, ['CHEF', 'MENU', 'HOTEL', 'TAXI']).status, 'repeat');
+    assertEquals(game.mistakes, 1);
+    assertArrayLength(game.guesses, 1);
+  });
+});
+
+harness.suite('Engine: Play-throughs', ({ test }) => {
+  test('solving every group should win every puzzle in the test pack', () => {
+    PACK.puzzles.forEach((p, n) => {
+      const game = E.createGame(puzzle(n));
+      const results = game.data.groups.map(g => guess(game, g.words, 5000));
+      assertTrue(results.every(r => r.status === 'correct'), `${p.id} should accept every group`);
+      assertTrue(results[3].solved, `${p.id} should be solved`);
+      assertTrue(game.locked && !game.failed, `${p.id} should be won`);
+      assertEquals(game.finishedAt, 5000);
+      assertArrayLength(game.order, 0);
+    });
+  });
+
+  test('a win with mistakes should keep the mistakes', () => {
+    const game = E.createGame(puzzle(2));
+    guess(game, wrongGuesses(game)[0]);
+    game.data.groups.forEach(g => guess(game, g.words));
+    assertTrue(game.locked && !game.failed);
+    assertEquals(game.mistakes, 1);
+    assertArrayLength(game.guesses, 5);
+  });
+
+  test('the fourth mistake should lose and reveal every group', () => {
+    const game = E.createGame(puzzle(1));
+    guess(game, game.data.groups[0].words);
+    const [, a, b, c] = game.data.groups.map(g => g.words);
+    const results = [0, 1, 2, 3].map(k => guess(game, [a[k], b[k], c[k], a[(k + 1) % 4]], 7000));
+    assertDeepEquals(results.map(r => r.failed), [false, false, false, true]);
+    assertTrue(game.locked && game.failed);
+    assertEquals(game.mistakes, E.MAX_MISTAKES);
+    assertArrayLength(game.found, 4);
+    assertEquals(game.found[0].category, game.data.groups[0].category, 'Solved groups should stay first');
+    assertEquals(game.finishedAt, 7000);
+  });
+
+  test('a finished game should refuse further moves', () => {
+    const game = E.createGame(puzzle());
+    game.data.groups.forEach(g => guess(game, g.words));
+    assertEquals(E.submitGuess(game).status, 'locked');
+    assertDeepEquals(E.toggleTile(game, 0), { ok: false, reason: 'locked' });
+    assertFalse(E.shuffleTiles(game));
+    assertFalse(E.clearSelection(game));
+  });
+});
+
+harness.suite('Engine: Save and Restore', ({ test }) => {
+  test('a game in progress should survive a JSON round trip', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    guess(game, ['CHAT', 'PAIN', 'MENU', 'CHEF']);
+    const saved = JSON.parse(JSON.stringify(E.serializeGame(game)));
+    assertEquals(saved.v, E.SAVE_VERSION);
+
+    const restored = E.createGame(puzzle());
+    assertDeepEquals(E.restoreGame(restored, saved), { recovered: false });
+    assertDeepEquals(restored.order, game.order);
+    assertDeepEquals([...restored.selection], [...game.selection]);
+    assertDeepEquals(restored.found, game.found);
+    assertEquals(restored.mistakes, 1);
+    assertEquals(guess(restored, ['CHAT', 'PAIN', 'MENU', 'CHEF']).status, 'repeat');
+  });
+
+  test('a restored game should play on to a win', () => {
+    const game = E.createGame(puzzle(4));
+    guess(game, game.data.groups[1].words);
+    const restored = E.createGame(puzzle(4));
+    E.restoreGame(restored, JSON.parse(JSON.stringify(E.serializeGame(game))));
+    restored.data.groups.filter((g, i) => i !== 1).forEach(g => guess(restored, g.words));
+    assertTrue(restored.locked && !restored.failed);
+    assertArrayLength(restored.guesses, 4);
+  });
+
+  test('a finished game should restore finished', () => {
+    const game = E.createGame(puzzle(1));
+    wrongGuesses(game).forEach(w => guess(game, w, 9000));
+    const restored = E.createGame(puzzle(1));
+    E.restoreGame(restored, E.serializeGame(game));
+    assertTrue(restored.locked && restored.failed);
+    assertEquals(restored.finishedAt, 9000);
+    assertArrayLength(restored.order, 0);
+  });
+
+  test('restoring into an edited puzzle should recover the save', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    guess(game, ['CAFÉ', 'MENU', 'CHEF', 'DEPOT']);
+    const edited = puzzle();
+    edited.groups[1].words[3] = 'DÉPÔT';
+    const restored = E.createGame(edited);
+    assertDeepEquals(E.restoreGame(restored, E.serializeGame(game)), { recovered: true });
+    assertDeepEquals(restored.found.map(f => f.category), ['INTERNATIONAL WORDS']);
+    assertArrayLength(restored.order, 12);
+    assertTrue(E.gameWords(restored).some((w, i) => w === 'DÉPÔT' && restored.order.includes(i)));
+  });
+
+  test('a version 2 save should restore through the migrations', () => {
+    const game = E.createGame(puzzle());
+    const v2 = {
+      data: puzzle(),
+      id: 'Puzzle 1',
+      order: [15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4],
+      selection: [4],
+      found: [{ category: 'FALSE FRIENDS (EN WORDS, FR MEANINGS)', words: ['LOCATION', 'LECTURE', 'SENSIBLE', 'AGENDA'], color: '#9c27b0' }],
+      mistakes: 2,
+      locked: false
+    };
+    assertDeepEquals(E.restoreGame(game, v2), { recovered: false });
+    assertDeepEquals(game.order, v2.order);
+    assertDeepEquals([...game.selection], [4]);
+    assertEquals(game.mistakes, 2);
+  });
+
+  test('a save from a newer version should be ignored', () => {
+    const game = E.createGame(puzzle());
+    const order = game.order.slice();
+    assertEquals(E.restoreGame(game, { v: E.SAVE_VERSION + 1, order: [] }), null);
+    assertDeepEquals(game.order, order);
+  });
+});
+
+harness.suite('Engine: Repeated Words', ({ test }) => {
+  /**
+   * Puzzle 1 with MENU in both the blue group (tile 5) and the yellow group (tile 15)
+   * @returns {Object} Puzzle object
+   */
+  const shared = () => {
+    const p = puzzle();
+    p.groups[3].words[3] = 'MENU';
+    return p;
+  };
+
+  /**
+   * Select and submit tiles by index
+   * @param {Object} game - Engine game state
+   * @param {Array<number>} tiles - Tile indices
+   * @returns {Object} submitGuess() outcome
+   */
+  const pick = (game, tiles) => {
+    E.clearSelection(game);
+    tiles.forEach(i => E.toggleTile(game, i));
+    return E.submitGuess(game);
+  };
+
+  test('each copy of a word should be its own tile', () => {
+    const game = E.createGame(shared());
+    const keys = E.tileKeys(game.data);
+    assertEquals(keys[5], 'MENU');
+    assertEquals(keys[15], 'MENU#2');
+    assertEquals(new Set(keys).size, 16);
+    assertArrayLength(game.order, 16);
+  });
+
+  test('either copy should complete either group, leaving the other on the board', () => {
+    const game = E.createGame(shared());
+    const result = pick(game, [4, 15, 6, 7]);
+    assertEquals(result.status, 'correct');
+    assertEquals(result.group.category, 'FRENCH LOANWORDS IN ENGLISH');
+    assertDeepEquals(result.group.tiles, ['CAFÉ', 'MENU#2', 'CHEF', 'DEPOT']);
+    assertTrue(game.order.includes(5), 'The other MENU should stay');
+    assertFalse(game.order.includes(15));
+    assertEquals(pick(game, [12, 13, 14, 5]).status, 'correct');
+    assertEquals(pick(game, [0, 1, 2, 3]).status, 'correct');
+    assertTrue(pick(game, [8, 9, 10, 11]).solved);
+  });
+
+  test('guess colors should follow the group each tile still counts towards', () => {
+    const game = E.createGame(shared());
+    pick(game, [0, 1, 2, 15]);
+    assertDeepEquals(game.guesses[0].colors, ['purple', 'purple', 'purple', 'yellow']);
+    pick(game, [4, 15, 6, 7]);
+    assertDeepEquals(game.guesses[1].colors, ['blue', 'blue', 'blue', 'blue'], 'A correct guess with the other copy is one color');
+    pick(game, [5, 8, 9, 10]);
+    assertDeepEquals(game.guesses[2].colors, ['yellow', 'green', 'green', 'green']);
+    assertDeepEquals(game.guesses[2].tiles, ['MENU', 'CHAT', 'PAIN', 'COIN']);
+  });
+
+  test('pair hints should name the copy of a repeated word in the hinted group', () => {
+    const game = E.createGame(shared());
+    const blue = game.data.groups[1].words;
+    let seen = 0;
+    for (let n = 0; n < 500; n++) {
+      const hint = E.pickHint(game, 'pair');
+      if (!hint.words.includes('MENU')) continue;
+      seen++;
+      const other = hint.words.find(w => w !== 'MENU');
+      assertEquals(hint.tiles[hint.words.indexOf('MENU')], blue.includes(other) ? 'MENU' : 'MENU#2');
+    }
+    assertTrue(seen > 0, 'Some pairs should include MENU');
+  });
+
+  test('saves should keep track of which copy was used', () => {
+    const game = E.createGame(shared());
+    pick(game, [4, 15, 6, 7]);
+    E.toggleTile(game, 5);
+    const saved = JSON.parse(JSON.stringify(E.serializeGame(game)));
+    assertTrue(saved.order.includes('MENU') && !saved.order.includes('MENU#2'));
+    assertDeepEquals(saved.selection, ['MENU']);
+    const restored = E.createGame(shared());
+    assertDeepEquals(E.restoreGame(restored, saved), { recovered: false });
+    assertDeepEquals(restored.order, game.order);
+    assertDeepEquals([...restored.selection], [5]);
+    assertEquals(pick(restored, [12, 13, 14, 5]).status, 'correct');
+  });
+
+  test('a version 3 save should number repeated words', () => {
+    const game = E.createGame(shared());
+    const words = E.gameWords(game);
+    const v3 = {
+      v: 3,
+      hash: E.puzzleHash(game.data),
+      order: game.order.map(i => words[i]),
+      selection: [],
+      found: [],
+      mistakes: 0,
+      locked: false
+    };
+    assertEquals(v3.order.filter(w => w === 'MENU').length, 2);
+    const restored = E.createGame(shared());
+    E.restoreGame(restored, v3);
+    assertArrayLength(restored.order, 16);
+    assertEquals(new Set(restored.order).size, 16);
+  });
+
+  test('a failed game should reveal every tile once', () => {
+    const game = E.createGame(shared(), { maxMistakes: 1 });
+    pick(game, [4, 15, 6, 7]);
+    pick(game, [0, 1, 2, 8]);
+    assertTrue(game.locked && game.failed);
+    const tiles = game.found.flatMap(f => f.tiles);
+    assertArrayLength(tiles, 16);
+    assertEquals(new Set(tiles).size, 16);
+  });
+
+  test('replay should tell the copies apart', () => {
+    const game = E.createGame(shared());
+    pick(game, [4, 15, 6, 7]);
+    pick(game, [12, 13, 14, 5]);
+    const frames = E.replayFrames(game.data, game.guesses);
+    assertArrayLength(frames, 4);
+    assertEquals(frames[2].outcome, 'correct');
+    assertEquals(frames[2].tiles.filter(w => w === 'MENU').length, 1);
+    assertEquals(frames[2].tiles[frames[2].selectedTiles[3]], 'MENU');
+    const legacy = game.guesses.map(({ tiles, ...g }) => g);
+    assertEquals(E.replayFrames(game.data, legacy)[2].outcome, 'correct');
+  });
+
+  test('word hints should skip a word two unsolved groups share', () => {
+    const game = E.createGame(shared(), { maxMistakes: null });
+    for (let n = 0; n < 14; n++) E.useHint(game, 'word', 'mistake');
+    assertFalse(game.hints.some(h => h.words[0] === 'MENU'));
+    assertDeepEquals(E.useHint(game, 'word', 'mistake'), { ok: false, reason: 'none' });
+  });
+});
+
+harness.suite('Engine: Replay', ({ test }) => {
+  test('replayFrames should show the start, every guess and the end', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'CHEF'], 1000);
+    game.data.groups.forEach(g => {
+      E.tickGame(game, 1000);
+      guess(game, g.words);
+    });
+    const frames = E.replayFrames(puzzle(), game.guesses);
+    assertArrayLength(frames, 7);
+    assertDeepEquals(frames.map(f => f.guess), [0, 1, 2, 3, 4, 5, 5]);
+    assertDeepEquals(frames.map(f => f.outcome), [null, 'one-away', 'correct', 'correct', 'correct', 'correct', null]);
+    assertEquals(frames[1].elapsed, 0);
+    assertEquals(frames[5].elapsed, 4000);
+    assertEquals(frames[6].finished, 'solved');
+  });
+
+  test('replay frames should show the board as each guess was made', () => {
+    const game = E.createGame(puzzle());
+    game.data.groups.forEach(g => guess(game, g.words));
+    const frames = E.replayFrames(puzzle(), game.guesses);
+    assertArrayLength(frames[0].tiles, 16);
+    assertDeepEquals(frames[1].selected, game.guesses[0].words);
+    assertEquals(frames[1].category, game.data.groups[0].category);
+    assertArrayLength(frames[2].tiles, 12);
+    assertArrayLength(frames[2].found, 1);
+    assertDeepEquals(frames[2].tiles, frames[1].tiles.filter(w => !frames[1].selected.includes(w)), 'Tiles should keep their places');
+    assertDeepEquals(E.replayFrames(puzzle(), game.guesses)[0].tiles, frames[0].tiles, 'Starting board should be stable');
+  });
+
+  test('replaying a loss should end with the solution revealed', () => {
+    const game = E.createGame(puzzle(1));
+    wrongGuesses(game).forEach(w => guess(game, w));
+    const frames = E.replayFrames(puzzle(1), game.guesses);
+    const last = frames[frames.length - 1];
+    assertEquals(last.finished, 'failed');
+    assertEquals(last.mistakes, 4);
+    assertArrayLength(last.found, 4);
+    assertArrayLength(last.tiles, 0);
+  });
+
+  test('replaying a game lost through mistake hints should end failed', () => {
+    const game = E.createGame(puzzle());
+    [1000, 2000, 3000].forEach(ts => E.useHint(game, 'word', 'mistake', ts));
+    guess(game, wrongGuesses(game)[0], 4000);
+    assertTrue(game.failed && game.locked, 'The live game should be lost');
+    const frames = E.replayFrames(puzzle(), game.guesses, game.rules, { hints: game.hints });
+    assertEquals(frames[1].mistakes, 3, 'Hints taken before the guess should already count');
+    const last = frames[frames.length - 1];
+    assertEquals(last.mistakes, 4);
+    assertEquals(last.finished, 'failed');
+    assertEquals(E.replayFrames(puzzle(), game.guesses)[2].finished, null, 'Without hints only the guess counts');
+  });
+
+  test('replaying a game that ran out of time should end timed out', () => {
+    const game = E.createGame(puzzle());
+    game.timeLimit = 60000;
+    guess(game, game.data.groups[0].words, 1000);
+    E.tickGame(game, 70000);
+    assertTrue(game.timedOut && game.locked, 'The live game should have run out of time');
+    const played = { hints: game.hints, timedOut: game.timedOut, failed: game.failed };
+    const last = E.replayFrames(puzzle(), game.guesses, game.rules, played).pop();
+    assertEquals(last.finished, 'timedOut');
+    assertArrayLength(last.found, 4);
+    assertArrayLength(last.tiles, 0);
+    assertEquals(E.replayFrames(puzzle(), game.guesses).pop().finished, null, 'Without the saved outcome the game looks unfinished');
+  });
+
+  test('guesses with words no longer in the puzzle should be skipped', () => {
+    const frames = E.replayFrames(puzzle(), [{ words: ['TAXI', 'HOTEL', 'RADIO', 'GONE'], colors: [], correct: false }]);
+    assertArrayLength(frames, 2);
+    assertEquals(frames[1].finished, null);
+  });
+});
+
+harness.suite('Engine: Guess History', ({ test }) => {
+  test('history should keep the picking order and mark one away, even in hard mode', () => {
+    const game = E.createGame(puzzle(), {hardMode: true});
+    guess(game, ['TAXI', 'CHEF', 'HOTEL', 'RADIO']);
+    guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']);
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    const history = E.guessHistory(game.data, game.guesses);
+    assertDeepEquals(history[0], {
+      words: ['TAXI', 'CHEF', 'HOTEL', 'RADIO'],
+      colors: ['yellow', 'blue', 'yellow', 'yellow'],
+      correct: false,
+      oneAway: true,
+      outOfOrder: false
+    });
+    assertTrue(history[1].outOfOrder);
+    assertFalse(history[1].oneAway);
+    assertTrue(history[2].correct);
+  });
+
+  test('old guesses with hex colors should get color names', () => {
+    const history = E.guessHistory(puzzle(), [{words: ['TAXI', 'HOTEL', 'RADIO', 'PIANO'], colors: Array(4).fill('#ffca28'), correct: true}]);
+    assertDeepEquals(history[0].colors, ['yellow', 'yellow', 'yellow', 'yellow']);
+  });
+
+  test('confused words should be those outside the group a wrong guess was going for', () => {
+    const game = E.createGame(puzzle(), {maxMistakes: null});
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'CHEF']);
+    guess(game, ['TAXI', 'HOTEL', 'PIANO', 'CHEF']);
+    guess(game, ['CHAT', 'PAIN', 'MENU', 'DEPOT']);
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    assertDeepEquals(E.confusedWords(game.guesses), [
+      {word: 'CHEF', color: 'blue', count: 2},
+      {word: 'CHAT', color: 'green', count: 1},
+      {word: 'DEPOT', color: 'blue', count: 1},
+      {word: 'MENU', color: 'blue', count: 1},
+      {word: 'PAIN', color: 'green', count: 1}
+    ]);
+  });
+
+  test('a game without wrong guesses should have no confused words', () => {
+    const game = E.createGame(puzzle(), {hardMode: true});
+    guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']);
+    assertDeepEquals(E.confusedWords(game.guesses), []);
+  });
+});
+
+harness.suite('Engine: Timing', ({ test }) => {
+  test('tickGame should add play time until the game is finished', () => {
+    const game = E.createGame(puzzle());
+    E.tickGame(game, 1500);
+    E.tickGame(game, -20);
+    assertEquals(game.elapsed, 1500);
+    assertEquals(E.timeLeft(game), null);
+    game.data.groups.forEach(g => guess(game, g.words));
+    E.tickGame(game, 1000);
+    assertEquals(game.elapsed, 1500, 'Finished games should stop the clock');
+  });
+
+  test('guesses should record when they were made', () => {
+    const game = E.createGame(puzzle());
+    E.tickGame(game, 4000);
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO'], 1234);
+    assertEquals(game.guesses[0].ts, 1234);
+    assertEquals(game.guesses[0].elapsed, 4000);
+    assertEquals(E.replayFrames(puzzle(), game.guesses)[1].elapsed, 4000);
+  });
+
+  test('running out of time should fail the game and reveal every group', () => {
+    const game = E.createGame(puzzle());
+    game.timeLimit = 60000;
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    assertFalse(E.tickGame(game, 59000).expired);
+    assertEquals(E.timeLeft(game), 1000);
+    assertTrue(E.tickGame(game, 5000, 8000).expired);
+    assertTrue(game.locked && game.failed && game.timedOut);
+    assertEquals(game.elapsed, 60000);
+    assertEquals(game.finishedAt, 8000);
+    assertArrayLength(game.found, 4);
+    assertEquals(game.mistakes, 0);
+  });
+
+  test('time played and the time limit should survive save and restore', () => {
+    const game = E.createGame(puzzle());
+    game.timeLimit = 120000;
+    E.tickGame(game, 30000);
+    const restored = E.createGame(puzzle());
+    E.restoreGame(restored, JSON.parse(JSON.stringify(E.serializeGame(game))));
+    assertEquals(restored.elapsed, 30000);
+    assertEquals(E.timeLeft(restored), 90000);
+    assertFalse(restored.timedOut);
+  });
+
+  test('saves from before timing should restore untimed from zero', () => {
+    const game = E.createGame(puzzle());
+    const rec = E.serializeGame(game);
+    delete rec.elapsed;
+    delete rec.timeLimit;
+    delete rec.timedOut;
+    const restored = E.createGame(puzzle());
+    restored.timeLimit = 60000;
+    E.restoreGame(restored, rec);
+    assertEquals(restored.elapsed, 0);
+    assertEquals(restored.timeLimit, null);
+  });
+});
+
+harness.suite('Engine: Hints', ({ test }) => {
+  test('a word hint should reveal an unsolved word and its group color', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    const result = E.useHint(game, 'word', 'budget', 500);
+    assertTrue(result.ok);
+    const group = game.data.groups.find(g => g.words.includes(result.hint.words[0]));
+    assertTrue(group.category !== 'INTERNATIONAL WORDS', 'Should not hint a solved group');
+    assertEquals(result.hint.color, group.colorName);
+    assertEquals(game.hints[0].ts, 500);
+    assertEquals(E.hintsLeft(game), E.HINT_BUDGET - 1);
+    assertEquals(game.mistakes, 0);
+  });
+
+  test('category and pair hints should never repeat', () => {
+    const game = E.createGame(puzzle());
+    const categories = ['budget', 'budget', 'budget', 'mistake'].map(cost => E.useHint(game, 'category', cost).hint.category);
+    assertEquals(new Set(categories).size, 4);
+    assertEquals(E.pickHint(game, 'category'), null);
+    assertFalse(game.locked);
+    const pair = E.useHint(game, 'pair', 'mistake').hint;
+    assertTrue(game.data.groups.some(g => pair.words.every(w => g.words.includes(w))), 'Pair should share a group');
+    assertEquals(E.useHint(game, 'category', 'mistake').reason, 'none');
+  });
+
+  test('the hint budget should run out', () => {
+    const game = E.createGame(puzzle());
+    for (let k = 0; k < E.HINT_BUDGET; k++) assertTrue(E.useHint(game, 'pair', 'budget').ok);
+    assertDeepEquals(E.useHint(game, 'pair', 'budget'), { ok: false, reason: 'budget' });
+    assertTrue(E.useHint(game, 'pair', 'mistake').ok, 'Mistake-paid hints ignore the budget');
+  });
+
+  test('hints paid with mistakes should end the game on the last one', () => {
+    const game = E.createGame(puzzle());
+    wrongGuesses(game).slice(0, 3).forEach(w => guess(game, w));
+    const result = E.useHint(game, 'word', 'mistake');
+    assertTrue(result.failed);
+    assertTrue(game.locked && game.failed);
+    assertArrayLength(game.found, 4);
+    assertEquals(E.useHint(game, 'word', 'mistake').reason, 'locked');
+  });
+
+  test('guesses should count the hints used before them, and hints should be saved', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'CHEF']);
+    E.useHint(game, 'category', 'budget');
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    assertDeepEquals(game.guesses.map(g => g.hints), [0, 1]);
+    const restored = E.createGame(puzzle());
+    E.restoreGame(restored, JSON.parse(JSON.stringify(E.serializeGame(game))));
+    assertDeepEquals(restored.hints, game.hints);
+    assertEquals(E.hintsLeft(restored), E.HINT_BUDGET - 1);
+  });
+});
+
+harness.suite('Engine: Rules', ({ test }) => {
+  test('puzzle rules should override the player\'s, which override the defaults', () => {
+    const p = puzzle();
+    p.rules = {hardMode: true, maxMistakes: 'lots'};
+    const game = E.createGame(p, {maxMistakes: 6, shuffle: false});
+    assertDeepEquals(game.rules, {maxMistakes: 6, hardMode: true, shuffle: false});
+    assertDeepEquals(E.createGame(puzzle()).rules, E.DEFAULT_RULES);
+  });
+
+  test('unlimited mistakes should never end the game', () => {
+    const game = E.createGame(puzzle(), {maxMistakes: null});
+    const wrong = wrongGuesses(game);
+    wrong.concat([wrong[0].slice(1).concat(wrong[1][0])]).forEach(w => guess(game, w));
+    assertEquals(game.mistakes, 5);
+    assertFalse(game.locked);
+    assertTrue(E.useHint(game, 'word', 'mistake').ok);
+    assertEquals(game.mistakes, 6);
+    assertFalse(game.failed);
+  });
+
+  test('a lower mistake limit should end the game sooner', () => {
+    const game = E.createGame(puzzle(), {maxMistakes: 2});
+    const [a, b] = wrongGuesses(game);
+    guess(game, a);
+    assertTrue(guess(game, b).failed);
+    assertEquals(game.mistakes, 2);
+  });
+
+  test('hard mode should hide "one away"', () => {
+    const game = E.createGame(puzzle(), {hardMode: true});
+    const result = guess(game, ['TAXI', 'HOTEL', 'RADIO', 'CHEF']);
+    assertEquals(result.status, 'wrong');
+    assertFalse(result.oneAway);
+  });
+
+  test('hard mode should count a group solved out of order as a mistake', () => {
+    const game = E.createGame(puzzle(), {hardMode: true});
+    const early = guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']);
+    assertEquals(early.status, 'wrong');
+    assertTrue(early.outOfOrder);
+    assertTrue(game.guesses[0].outOfOrder);
+    assertEquals(game.mistakes, 1);
+    assertEquals(guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']).status, 'repeat');
+    assertEquals(guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']).status, 'correct');
+    assertEquals(guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']).status, 'correct');
+  });
+
+  test('no-shuffle rules should keep the board order', () => {
+    const game = E.createGame(puzzle(), {shuffle: false});
+    const before = [...game.order];
+    assertFalse(E.shuffleTiles(game));
+    assertDeepEquals(game.order, before);
+  });
+
+  test('rules should be saved with the game and old saves should get the defaults', () => {
+    const game = E.createGame(puzzle(), {maxMistakes: null, hardMode: true});
+    const rec = JSON.parse(JSON.stringify(E.serializeGame(game)));
+    const restored = E.createGame(puzzle());
+    E.restoreGame(restored, rec);
+    assertDeepEquals(restored.rules, game.rules);
+    delete rec.rules;
+    const legacy = E.createGame(puzzle(), {hardMode: true});
+    E.restoreGame(legacy, rec);
+    assertDeepEquals(legacy.rules, E.DEFAULT_RULES);
+  });
+
+  test('replay should follow the game\'s rules', () => {
+    const game = E.createGame(puzzle(), {hardMode: true});
+    guess(game, ['CHAT', 'PAIN', 'COIN', 'GIFT']);
+    const frames = E.replayFrames(game.data, game.guesses, game.rules);
+    assertEquals(frames[1].outcome, 'wrong');
+    assertEquals(frames[2].mistakes, 1);
+  });
+});
+
+harness.suite('Engine: Arranging Tiles', ({ test }) => {
+  test('moving a tile should shift the tiles between its old and new place', () => {
+    const game = E.createGame(puzzle());
+    const before = [...game.order];
+    assertTrue(E.moveTile(game, 0, 5));
+    assertDeepEquals(game.order, before.slice(1, 6).concat(before[0], before.slice(6)));
+    assertTrue(E.moveTile(game, 5, 0));
+    assertDeepEquals(game.order, before);
+  });
+
+  test('moves off the board or after the game ends should be refused', () => {
+    const game = E.createGame(puzzle());
+    const before = [...game.order];
+    assertFalse(E.moveTile(game, 0, 16));
+    assertFalse(E.moveTile(game, -1, 3));
+    assertFalse(E.moveTile(game, 1.5, 3));
+    assertDeepEquals(game.order, before);
+    E.revealAll(game);
+    assertFalse(E.moveTile(game, 0, 0));
+    assertFalse(E.raiseSelection(game));
+  });
+
+  test('raising the selection should put it first, keeping both parts in order', () => {
+    const game = E.createGame(puzzle());
+    assertFalse(E.raiseSelection(game));
+    const before = [...game.order];
+    [before[9], before[2], before[14]].forEach(i => E.toggleTile(game, i));
+    assertTrue(E.raiseSelection(game));
+    assertDeepEquals(game.order.slice(0, 3), [before[2], before[9], before[14]]);
+    assertDeepEquals(game.order.slice(3), before.filter(i => !game.selection.has(i)));
+    assertEquals(game.selection.size, 3);
+  });
+
+  test('a hand-arranged board should survive saving, even with shuffling off', () => {
+    const game = E.createGame(puzzle(), {shuffle: false});
+    assertTrue(E.moveTile(game, 15, 0));
+    guess(game, ['TAXI', 'HOTEL', 'RADIO', 'PIANO']);
+    const restored = E.createGame(puzzle());
+    E.restoreGame(restored, JSON.parse(JSON.stringify(E.serializeGame(game))));
+    assertDeepEquals(restored.order, game.order);
+  });
+});
+
+harness.suite('Engine: Puzzle Shapes', ({ test }) => {
+  /**
+   * Puzzle of the given shape whose words are named after their group, e.g. A1, A2, B1...
+   * @param {number} groups - Number of groups
+   * @param {number} size - Words per group
+   * @returns {Object} Puzzle object
+   */
+  const shaped = (groups, size) => ({
+    id: `${groups}x${size}`,
+    groups: Array.from({ length: groups }, (_, gi) => ({
+      category: `GROUP ${gi + 1}`,
+      color: E.COLOR_ORDER[gi],
+      words: Array.from({ length: size }, (_, wi) => `${'ABCDEF'[gi]}${wi + 1}`)
+    }))
+  });
+
+  test('a 3×3 puzzle should take guesses of three and be solved by three groups', () => {
+    const game = E.createGame(shaped(3, 3));
+    assertDeepEquals(E.puzzleShape(game.data), { groups: 3, size: 3 });
+    assertArrayLength(game.order, 9);
+    [0, 1, 2].forEach(i => E.toggleTile(game, i));
+    assertDeepEquals(E.toggleTile(game, 3), { ok: false, reason: 'full' });
+    assertEquals(guess(game, ['A1', 'A2']).status, 'incomplete');
+    const wrong = guess(game, ['A1', 'A2', 'B1']);
+    assertTrue(wrong.oneAway, 'Two of three should be one away');
+    assertFalse(guess(game, ['A1', 'B2', 'C1']).oneAway);
+    assertEquals(guess(game, ['A1', 'A2', 'A3']).status, 'correct');
+    assertEquals(guess(game, ['B1', 'B2', 'B3']).status, 'correct');
+    assertTrue(guess(game, ['C1', 'C2', 'C3']).solved);
+    assertTrue(game.locked && !game.failed);
+  });
+
+  test('a 5×4 puzzle should need all five groups and color the fifth orange', () => {
+    const game = E.createGame(shaped(5, 4));
+    guess(game, ['E1', 'E2', 'E3', 'D1']);
+    assertDeepEquals(game.guesses[0].colors, ['orange', 'orange', 'orange', 'purple']);
+    ['A', 'B', 'C', 'D'].forEach(g => assertFalse(guess(game, [1, 2, 3, 4].map(n => g + n)).solved));
+    assertTrue(guess(game, ['E1', 'E2', 'E3', 'E4']).solved);
+    assertArrayLength(game.found, 5);
+  });
+
+  test('hard mode should extend the color order to the extra colors', () => {
+    const game = E.createGame(shaped(5, 3), { hardMode: true });
+    assertTrue(guess(game, ['E1', 'E2', 'E3']).outOfOrder);
+    ['A', 'B', 'C', 'D', 'E'].forEach(g => assertEquals(guess(game, [1, 2, 3].map(n => g + n)).status, 'correct'));
+    assertTrue(game.locked && !game.failed);
+  });
+
+  test('groups of two should never report one away', () => {
+    const game = E.createGame(shaped(4, 2));
+    const wrong = guess(game, ['A1', 'B1']);
+    assertEquals(wrong.status, 'wrong');
+    assertFalse(wrong.oneAway, 'One word of two should not be one away');
+    assertFalse(E.guessHistory(game.data, game.guesses)[0].oneAway);
+    assertEquals(E.replayFrames(game.data, game.guesses)[1].outcome, 'wrong');
+  });
+
+  test('replay and the linter should handle other shapes', () => {
+    const game = E.createGame(shaped(3, 3));
+    guess(game, ['A1', 'A2', 'B1']);
+    guess(game, ['A1', 'A2', 'A3']);
+    const frames = E.replayFrames(game.data, game.guesses);
+    assertArrayLength(frames, 4);
+    assertArrayLength(frames[0].tiles, 9);
+    assertEquals(frames[1].outcome, 'one-away');
+    assertDeepEquals(E.lintPack({ puzzles: [shaped(3, 3)] }).issues, []);
+    assertDeepEquals(E.lintPack({ puzzles: [shaped(5, 4)] }).issues, []);
+  });
+});
+
+harness.suite('Engine: Explanations', ({ test }) => {
+  test('groupDetails should give a solved group\'s explanation and notes in word order', () => {
+    const game = E.createGame(puzzle());
+    guess(game, ['SENSIBLE', 'LOCATION', 'AGENDA', 'LECTURE']);
+    const details = E.groupDetails(game.data, game.found[0]);
+    assertTrue(details.explanation.length > 0);
+    assertDeepEquals(details.notes.map(n => n.word), ['LOCATION', 'LECTURE', 'SENSIBLE', 'AGENDA']);
+    assertEquals(E.groupDetails(game.data, game.data.groups[3]), null);
+  });
+
+  test('notes should be keyed by the uppercased word', () => {
+    const p = puzzle();
+    p.groups[3].notes = {Taxi: 'Short for taximeter cab'};
+    E.normalizePuzzle(p);
+    assertDeepEquals(p.groups[3].notes, {TAXI: 'Short for taximeter cab'});
+    assertEquals(E.groupDetails(p, p.groups[3]).notes[0].note, 'Short for taximeter cab');
+  });
+
+  test('explanations should travel in share links but not change the puzzle hash', () => {
+    const p = puzzle();
+    const hash = E.puzzleHash(p);
+    p.groups[1].explanation = 'Borrowed from French';
+    assertEquals(E.puzzleHash(p), hash);
+    assertEquals(E.sharePayload(p).groups[1].explanation, 'Borrowed from French');
+    assertDeepEquals(E.sharePayload(p).groups[0].notes, p.groups[0].notes);
+    assertFalse('explanation' in E.sharePayload(p).groups[3]);
+  });
+
+  test('groupDetailProblems should catch notes for words the group doesn\'t have', () => {
+    assertArrayLength(E.groupDetailProblems(puzzle().groups[0]), 0);
+    const g = {words: ['A', 'B'], explanation: 42, notes: {c: 'Nope', b: ''}};
+    assertDeepEquals(E.groupDetailProblems(g), [
+      '"explanation" must be a non-empty string',
+      'has a note for "c", which is not one of its words',
+      'note for "b" must be a non-empty string'
+    ]);
+    const pack = {puzzles: [puzzle()]};
+    pack.puzzles[0].groups[2].notes = {CAT: 'Not a word here'};
+    const {issues} = E.lintPack(pack);
+    assertTrue(issues.some(i => i.level === 'error' && i.message === 'Puzzle 1, group 3: has a note for "CAT", which is not one of its words'));
+  });
+});
+
+harness.suite('Engine: Pack Lint', ({ test }) => {
+  /**
+   * Messages of one level from linting a pack
+   * @param {Object} pack - Pack to lint
+   * @param {string} level - 'error' or 'warning'
+   * @returns {Array<string>} Issue messages
+   */
+  const messages = (pack, level) => E.lintPack(pack).issues.filter(i => i.level === level).map(i => i.message);
+
+  test('the test pack should lint without errors', () => {
+    const result = E.lintPack(PACK);
+    assertDeepEquals(result.counts, {puzzles: 12, groups: 48, words: 192});
+    assertDeepEquals(messages(PACK, 'error'), []);
+    assertDeepEquals(messages(PACK, 'warning'), ['"GIFT" is used in Puzzle 1, Puzzle 4']);
+  });
+
+  test('wrong counts, duplicate words and duplicate ids should be errors', () => {
+    const a = puzzle(0);
+    const b = puzzle(1);
+    b.id = a.id;
+    a.groups[0].words[0] = a.groups[0].words[1].toLowerCase();
+    b.groups[2].words.pop();
+    const c = puzzle(2);
+    c.id = 'Single';
+    c.groups = c.groups.slice(0, 1);
+    const errors = messages({puzzles: [a, b, c]}, 'error');
+    assertTrue(errors.includes(`Puzzle 1: "${a.groups[0].words[1]}" appears more than once in a group`));
+    assertTrue(errors.includes(`Puzzle 2: id "${a.id}" is already used by Puzzle 1`));
+    assertTrue(errors.includes('Puzzle 3: has 1 group (expected 2 to 6)'));
+    assertTrue(errors.includes('Puzzle 2, group 3: has 3 words (group 1 has 4)'));
+    assertEquals(E.lintPack(null).issues[0].level, 'error');
+  });
+
+  test('words ending in # and a number should be errors, as copies of a word are keyed that way', () => {
+    const p = puzzle(0);
+    p.groups[1].words[0] = `${p.groups[0].words[0]}#2`;
+    assertTrue(messages({puzzles: [p]}, 'error').includes(`Puzzle 1, group 2: "${p.groups[1].words[0]}" ends in # and a number, which is kept for repeated words`));
+    assertTrue(E.COPY_SUFFIX.test('X#2') && !E.COPY_SUFFIX.test('#1 FAN'));
+  });
+
+  test('unknown colors should be errors and missing or repeated ones warnings', () => {
+    const p = puzzle(0);
+    p.groups[0].color = p.groups[1].color;
+    p.groups[2].color = 'pink';
+    assertDeepEquals(messages({puzzles: [p]}, 'error'), ['Puzzle 1, group 3: unknown color "pink" (use yellow, green, blue, purple, orange, red)']);
+    const warnings = messages({puzzles: [p]}, 'warning');
+    assertTrue(warnings.includes(`Puzzle 1: has 2 ${p.groups[1].color} groups`));
+    assertEquals(warnings.filter(m => m.includes('has no')).length, 2);
+  });
+
+  test('typography, long tiles and inconsistent color order should be warnings', () => {
+    const p = puzzle(0);
+    p.groups[0].words = ["ROCCO'S", 'CO—OP', 'TWO  SPACES', 'CAFE\u0301'];
+    delete p.groups[0].notes;
+    p.groups[1].words[0] = 'A'.repeat(30);
+    const q = puzzle(1);
+    q.groups.reverse();
+    const warnings = messages({puzzles: [p, puzzle(2), q]}, 'warning');
+    assertTrue(warnings.some(m => m.includes('"ROCCO\'S" uses a straight or backtick apostrophe')));
+    assertTrue(warnings.some(m => m.includes('"CO—OP" uses a typographic dash')));
+    assertTrue(warnings.some(m => m.includes('"TWO  SPACES" has extra spaces')));
+    assertTrue(warnings.some(m => m.includes('is not in composed Unicode form')));
+    assertTrue(warnings.some(m => m.includes('too long for a tile (renders at 8px)')));
+    assertTrue(warnings.some(m => m.startsWith('Puzzle 3: groups are listed yellow, green, blue, purple')));
+    assertEquals(messages({puzzles: [p, puzzle(2), q]}, 'error').length, 0);
+  });
+
+  test('a word shared by two groups of a puzzle should be a warning', () => {
+    const p = puzzle(0);
+    p.groups[3].words[0] = p.groups[0].words[0];
+    const pack = {puzzles: [p]};
+    assertDeepEquals(messages(pack, 'error'), []);
+    assertTrue(messages(pack, 'warning').includes(`Puzzle 1: "${p.groups[0].words[0]}" is in groups 1 and 4; check the red herring is intended`));
+  });
+
+  test('words reused across puzzles should match despite case and apostrophe style', () => {
+    const a = puzzle(0);
+    const b = puzzle(1);
+    a.groups[0].words[0] = "Vonn's";
+    assertTrue(messages({puzzles: [a, b]}, 'warning').includes('"VONN’S" is used in Puzzle 1, Puzzle 2'));
+  });
+});
+
+/**
+ * Print results to the console and set the exit code
+ * @param {Object} data - Output of harness.run()
+ */
+function report(data) {
+  data.results.forEach(suite => {
+    console.log(`\n${suite.name}`);
+    suite.tests.forEach(t => {
+      console.log(`  ${t.passed ? '✓' : '✗'} ${t.name}`);
+      if (t.error) console.log(`      ${t.error}`);
+    });
+  });
+  console.log(`\n${harness.passedTests}/${harness.totalTests} passed in ${data.totalTime.toFixed(2)}ms`);
+  if (harness.failedTests > 0) process.exitCode = 1;
+}
+
+harness.run().then(report);